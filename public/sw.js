@@ -0,0 +1,95 @@
+/**
+ * Service worker: keeps the app shell available offline.
+ *
+ * - Page loads: network first, falling back to the cached shell, so a deploy shows up on the
+ *   next online visit and an offline visit still opens (the list itself lives in localStorage/IndexedDB).
+ * - Built assets (hashed file names) and icons: cache first.
+ * - JSON (api/servers.json, local feeds): network first with the cached copy as fallback.
+ * - Cross-origin requests and WebSocket status checks are left alone.
+ *
+ * Registered from src/lib/pwa.js at the Pages base path, so every path here is relative to the scope.
+ * Install precaches the shell plus every built asset, so the first offline visit works without
+ * having loaded each chunk (search worker, lazy dialogs) online first.
+ */
+const CACHE = "eaglercraft-directory-v1";
+const MAX_ENTRIES = 80;
+const SHELL = ["./", "manifest.webmanifest", "icons/icon-192.png", "icons/icon-512.png"];
+// Written into dist/sw.js by scripts/build-static.mjs; the changed file is also what makes browsers install a new deploy
+const ASSETS = [];
+
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((c) => c.addAll([...SHELL, ...ASSETS].map(scoped))).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("eaglercraft-directory-") && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+/** Old hashed assets pile up across deploys; drop the oldest once over the limit, never this build's */
+async function trim(cache) {
+  const precached = new Set([...SHELL, ...ASSETS].map(scoped));
+  const keys = (await cache.keys()).filter((k) => !precached.has(k.url));
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_ENTRIES)).map((k) => cache.delete(k)));
+}
+
+async function put(request, response) {
+  if (!response.ok || response.type !== "basic") return;
+  const cache = await caches.open(CACHE);
+  await cache.put(request, response);
+  await trim(cache);
+}
+
+async function networkFirst(request, fallback) {
+  try {
+    const response = await fetch(request);
+    put(fallback || request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await caches.match(fallback || request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  put(request, response.clone());
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || !request.url.startsWith(self.registration.scope)) return;
+  const url = new URL(request.url);
+  // The static per-server pages are real documents; only the app itself falls back to the shell
+  if (request.mode === "navigate" && !url.pathname.includes("/server/")) {
+    event.respondWith(networkFirst(request, scoped("./")));
+  } else if (/\/assets\/|\/icons\//.test(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.pathname.endsWith(".json")) {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+// Notifications carry the detail-page URL to open (see notify in src/lib/pwa.js)
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const target = event.notification.data?.url || self.registration.scope;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const open = windows.find((w) => w.url.startsWith(self.registration.scope));
+    if (open) {
+      await open.focus();
+      return open.navigate(target);
+    }
+    return self.clients.openWindow(target);
+  })());
+});
@@ -0,0 +1,25 @@
+/**
+ * Module hooks so Node scripts can import app modules as Vite does: `@/lib/x` maps to
+ * src/lib/x.js, everything under src/ loads as ESM, and JSON imports work without import
+ * attributes. Registered by bench-search.mjs and the tests in test/.
+ */
+import { readFile } from "node:fs/promises";
+
+const SRC = new URL("../src/", import.meta.url);
+
+export async function resolve(specifier, context, next) {
+  if (specifier.startsWith("@/")) {
+    const path = specifier.slice(2);
+    return { url: new URL(/\.\w+$/.test(path) ? path : `${path}.js`, SRC).href, shortCircuit: true };
+  }
+  return next(specifier, context);
+}
+
+export async function load(url, context, next) {
+  if (!url.startsWith(SRC.href)) return next(url, context);
+  if (url.endsWith(".json")) {
+    return { format: "module", source: `export default ${await readFile(new URL(url), "utf8")};`, shortCircuit: true };
+  }
+  // src/ has no package.json "type", but everything in it is ESM
+  return next(url, { ...context, format: "module" });
+}
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Search/sort benchmark over a generated directory (10k servers by default).
+ *
+ * Replays typing a few queries one keystroke at a time through the same code the search worker
+ * runs (lib/filter filterServers over a lib/search index), including the structured clone of the
+ * ids it posts back to the page. The page itself never blocks on this, but results have to keep
+ * up with typing: fails if the 95th percentile keystroke is over budget (default 100 ms, the
+ * usual limit for a response to feel immediate).
+ *
+ *   node scripts/bench-search.mjs [count] [budgetMs]
+ */
+import { register } from "node:module";
+import { performance } from "node:perf_hooks";
+import { generateServers } from "./fixture.mjs";
+
+register("./alias-hooks.mjs", import.meta.url);
+const { buildIndex } = await import("@/lib/search");
+const { filterServers } = await import("@/lib/filter");
+
+const count = Number(process.argv[2]) || 10000;
+const budget = Number(process.argv[3]) || 100;
+const QUERIES = ["sky pvp", "tag:bedwars region:eu", "dragn relms", "-tag:anarchy survival"];
+const SORTS = ["relevance", "name", "votes"];
+const BASE = { tags: [], excludeTags: [], tagMode: "all", group: "all", status: { onlineOnly: false, hideUnreachable: false, maxLatency: null } };
+
+const servers = generateServers(count);
+let t = performance.now();
+const index = buildIndex(servers);
+console.log(`index: ${count} servers in ${(performance.now() - t).toFixed(1)} ms`);
+
+const times = [];
+for (const sort of SORTS) {
+  for (const q of QUERIES) {
+    for (let i = 1; i <= q.length; i++) {
+      t = performance.now();
+      structuredClone(filterServers(index, { ...BASE, q: q.slice(0, i), sort }, {}).ids);
+      times.push(performance.now() - t);
+    }
+  }
+}
+
+times.sort((a, b) => a - b);
+const pct = (p) => times[Math.min(times.length - 1, Math.floor(times.length * p))];
+console.log(`keystrokes: ${times.length}, p50 ${pct(0.5).toFixed(1)} ms, p95 ${pct(0.95).toFixed(1)} ms, max ${times[times.length - 1].toFixed(1)} ms`);
+if (pct(0.95) > budget) {
+  console.error(`p95 over the ${budget} ms budget`);
+  process.exit(1);
+}
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * Post-build step: render crawlable content from src/data/servers.json into the Vite output.
+ *
+ *   dist/server/<id>/index.html   one static page per server, with OpenGraph/Twitter metadata
+ *   dist/api/servers.json         machine-readable list in the feed format (see src/lib/feeds.js),
+ *                                 so other sites, or another copy of this directory, can subscribe to it
+ *   dist/sw.js                    the service worker, with this build's assets listed for precaching
+ *
+ *   node scripts/build-static.mjs [outDir]     (run after `vite build`; `npm run build` does both)
+ *
+ * Pages link back to the app with relative URLs, so they work under any Pages base path.
+ * Set SITE_URL (e.g. https://user.github.io/repo/) to also emit absolute og:url and canonical links.
+ */
+import { mkdirSync, readFileSync, readdirSync, rmSync, statSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { hostOf, loadServersFile, validateServersFile } from "./schema.mjs";
+
+const SITE_NAME = "Eaglercraft Server Directory";
+const outDir = process.argv[2] || "dist";
+const siteUrl = process.env.SITE_URL ? process.env.SITE_URL.replace(/\/?$/, "/") : "";
+
+function esc(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function describe(s) {
+  const tags = s.tags.length ? ` ${s.tags.join(", ")}.` : "";
+  return s.short ? `${s.short}${tags}` : `Eaglercraft server at ${hostOf(s.url)}.${tags}`;
+}
+
+function renderPage(s) {
+  const title = `${s.name} – ${SITE_NAME}`;
+  const description = describe(s);
+  const pageUrl = siteUrl && `${siteUrl}server/${s.id}/`;
+  const appLink = `../../#/server/${encodeURIComponent(s.id)}`;
+  const meta = [
+    ["og:type", "website"],
+    ["og:site_name", SITE_NAME],
+    ["og:title", s.name],
+    ["og:description", description],
+    pageUrl && ["og:url", pageUrl],
+  ].filter(Boolean);
+  const rows = [
+    ["Address", `<code>${esc(s.url)}</code>`],
+    s.tags.length && ["Tags", esc(s.tags.join(", "))],
+    s.region && ["Region", esc(s.region)],
+    s.clientVersions?.length && ["Client versions", esc(s.clientVersions.join(", "))],
+    s.homepage && ["Website", `<a href="${esc(s.homepage)}" rel="noopener">${esc(s.homepage)}</a>`],
+    ["Listed by", esc(s.source || "community")],
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${esc(title)}</title>
+    <meta name="description" content="${esc(description)}" />
+${meta.map(([p, c]) => `    <meta property="${p}" content="${esc(c)}" />`).join("\n")}
+    <meta name="twitter:card" content="summary" />
+    <meta name="twitter:title" content="${esc(s.name)}" />
+    <meta name="twitter:description" content="${esc(description)}" />
+${pageUrl ? `    <link rel="canonical" href="${esc(pageUrl)}" />\n` : ""}    <style>
+      body { font: 16px/1.5 system-ui, sans-serif; max-width: 40rem; margin: 2rem auto; padding: 0 1rem; color: #0f172a; }
+      dt { font-weight: 600; } dd { margin: 0 0 .5rem; } code { word-break: break-all; }
+      @media (prefers-color-scheme: dark) { body { background: #020617; color: #e2e8f0; } a { color: #93c5fd; } }
+    </style>
+  </head>
+  <body>
+    <p><a href="../../">${esc(SITE_NAME)}</a></p>
+    <h1>${esc(s.name)}</h1>
+    ${s.short ? `<p>${esc(s.short)}</p>` : ""}
+    <dl>
+${rows.map(([k, v]) => `      <dt>${k}</dt><dd>${v}</dd>`).join("\n")}
+    </dl>
+    <p><a href="${esc(appLink)}">Open in the directory</a> to check status and ping.</p>
+  </body>
+</html>
+`;
+}
+
+const data = loadServersFile();
+const errors = validateServersFile(data);
+if (errors.length) {
+  for (const e of errors) console.error(`servers.json: ${e}`);
+  process.exit(1);
+}
+
+// Start clean so servers removed from the list don't leave stale pages behind
+rmSync(join(outDir, "server"), { recursive: true, force: true });
+for (const s of data.servers) {
+  const dir = join(outDir, "server", s.id);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, "index.html"), renderPage(s));
+}
+
+mkdirSync(join(outDir, "api"), { recursive: true });
+const api = {
+  format: "eaglercraft-feed",
+  version: 1,
+  name: SITE_NAME,
+  generated: new Date().toISOString(),
+  servers: data.servers.map((s) => ({ ...s, page: `server/${s.id}/` })),
+};
+writeFileSync(join(outDir, "api", "servers.json"), `${JSON.stringify(api, null, 2)}\n`);
+
+// The worker can't list dist/assets itself, and the hashed names change every build
+const SW_PLACEHOLDER = "const ASSETS = [];";
+const assetsDir = join(outDir, "assets");
+const assets = readdirSync(assetsDir, { recursive: true })
+  .filter((f) => !f.endsWith(".map") && statSync(join(assetsDir, f)).isFile())
+  .map((f) => `assets/${f.split("\\").join("/")}`)
+  .sort();
+const swPath = join(outDir, "sw.js");
+const sw = readFileSync(swPath, "utf8");
+if (!sw.includes(SW_PLACEHOLDER)) {
+  console.error(`${swPath}: no "${SW_PLACEHOLDER}" line to fill in`);
+  process.exit(1);
+}
+writeFileSync(swPath, sw.replace(SW_PLACEHOLDER, `const ASSETS = ${JSON.stringify(assets)};`));
+
+console.log(`Wrote ${data.servers.length} server pages, api/servers.json and a ${assets.length}-asset precache list to ${outDir}`);
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Check the UI message catalogs in src/locales against the English one (src/lib/i18n.js).
+ * Exits non-zero with one line per problem; part of `npm run validate`, and test/i18n.test.mjs
+ * runs the same check under `npm test`, so CI fails when a key is added to en.json without being
+ * translated everywhere.
+ *
+ *   node scripts/check-locales.mjs
+ *
+ * en.json needs a `tags.<tag>` message for every tag in src/data/servers.json. For every other catalog:
+ * - same keys as en.json, no missing and no stale ones
+ * - same {placeholders} as the English message
+ * - plural messages ({ one, other, … }) stay plural and cover every category a whole number
+ *   can select in that language (Russian needs one/few/many), plus "other" as the fallback
+ */
+import { readdirSync, readFileSync } from "node:fs";
+import { pathToFileURL } from "node:url";
+
+const DIR = new URL("../src/locales/", import.meta.url);
+const SERVERS = new URL("../src/data/servers.json", import.meta.url);
+const REFERENCE = "en";
+
+const load = (code) => JSON.parse(readFileSync(new URL(`${code}.json`, DIR), "utf8"));
+
+/** Plural categories counts can land in: whole numbers only, which is all the UI ever counts */
+function pluralCategories(locale) {
+  const rules = new Intl.PluralRules(locale);
+  const out = new Set(["other"]);
+  for (let n = 0; n <= 1000; n++) out.add(rules.select(n));
+  return out;
+}
+
+function placeholders(message) {
+  const text = typeof message === "object" ? Object.values(message).join(" ") : message;
+  return [...new Set(text.match(/\{\w+\}/g) || [])].sort().join(" ");
+}
+
+/**
+ * @param {string} code
+ * @param {Record<string, string|Record<string, string>>} catalog
+ * @param {Record<string, string|Record<string, string>>} reference
+ * @returns {string[]}
+ */
+export function checkCatalog(code, catalog, reference) {
+  const errors = [];
+  for (const key of Object.keys(reference)) {
+    if (!(key in catalog)) { errors.push(`missing "${key}"`); continue; }
+    const want = reference[key];
+    const got = catalog[key];
+    const plural = typeof want === "object";
+    if (plural !== (typeof got === "object")) {
+      errors.push(`"${key}" should be ${plural ? "a plural object" : "a string"}`);
+      continue;
+    }
+    if (plural) {
+      const missing = [...pluralCategories(code)].filter((c) => typeof got[c] !== "string");
+      if (missing.length) errors.push(`"${key}" lacks plural forms: ${missing.join(", ")}`);
+    } else if (!got.trim()) {
+      errors.push(`"${key}" is empty`);
+    }
+    if (placeholders(got) !== placeholders(want)) {
+      errors.push(`"${key}" uses ${placeholders(got) || "no placeholders"}, English has ${placeholders(want) || "none"}`);
+    }
+  }
+  for (const key of Object.keys(catalog)) if (!(key in reference)) errors.push(`"${key}" is not in ${REFERENCE}.json`);
+  return errors;
+}
+
+/**
+ * Every problem in src/locales, one line each; empty when the catalogs are complete.
+ * @returns {{ problems: string[], catalogs: number, keys: number }}
+ */
+export function checkLocales() {
+  const reference = load(REFERENCE);
+  const codes = readdirSync(DIR).filter((f) => f.endsWith(".json")).map((f) => f.slice(0, -5)).filter((c) => c !== REFERENCE);
+  const problems = [];
+  for (const tag of JSON.parse(readFileSync(SERVERS, "utf8")).tags) {
+    if (!(`tags.${tag}` in reference)) problems.push(`src/locales/${REFERENCE}.json: missing "tags.${tag}" for a tag in servers.json`);
+  }
+  for (const code of codes) {
+    let errors;
+    try {
+      errors = checkCatalog(code, load(code), reference);
+    } catch (e) {
+      errors = [e.message];
+    }
+    for (const e of errors) problems.push(`src/locales/${code}.json: ${e}`);
+  }
+  return { problems, catalogs: codes.length, keys: Object.keys(reference).length };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { problems, catalogs, keys } = checkLocales();
+  for (const p of problems) console.error(p);
+  if (problems.length) {
+    console.error(`\n${problems.length} problem${problems.length === 1 ? "" : "s"} found`);
+    process.exit(1);
+  }
+  console.log(`src/locales: ${catalogs} catalogs match ${REFERENCE}.json (${keys} keys)`);
+}
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/**
+ * Reference server for the community API (votes and reports), for local testing of the HTTP
+ * provider in src/lib/community.js. Plain Node, no dependencies; data is kept in one JSON file.
+ *
+ *   node scripts/community-server.mjs
+ *   VITE_COMMUNITY_API=http://localhost:8787 npm run dev
+ *
+ * Environment: PORT (8787), COMMUNITY_DATA (.community-data.json), ALLOW_ORIGIN (*).
+ *
+ * Endpoints (all JSON; writes need an X-Client-Id header):
+ *   GET  /v1/counts               { counts: { [key]: { up, down, reports, reasons } } }
+ *   GET  /v1/votes/mine           { votes: { [key]: 1 | -1 } }
+ *   PUT  /v1/votes/:key           { value: 1 | -1 | 0 }          -> { counts }
+ *   POST /v1/reports/:key         { reason, note? }               -> { counts }
+ * `key` is the server's canonical address (host:port[/path], as addressKey in src/lib/address.js
+ * produces it), URL-encoded; anything else is rejected.
+ * Errors are { error } with 400, 404 or 413; 429 with Retry-After (seconds) when rate-limited.
+ *
+ * Limits match src/lib/community.js: 20 writes per minute per client id and per IP (client ids
+ * are self-issued, so the IP limit is what stops a script minting new ones), notes up to 500 chars.
+ *
+ * Importing the module doesn't start anything: createCommunityServer() returns an unstarted
+ * http.Server (test/community.test.mjs runs one on an ephemeral port).
+ */
+import { createServer } from "node:http";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { pathToFileURL } from "node:url";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.COMMUNITY_DATA || ".community-data.json";
+const ALLOW_ORIGIN = process.env.ALLOW_ORIGIN || "*";
+
+const LIMIT = { max: 20, windowMs: 60 * 1000 };
+const REASONS = ["broken", "offensive", "malicious", "other"];
+const NOTE_MAX = 500;
+const BODY_MAX = 4096;
+
+/**
+ * Keys come straight from the URL and end up as property names, so the store only holds
+ * prototype-less objects (a key like `__proto__` is then just a key) and only canonical
+ * addresses get that far anyway.
+ */
+const dict = () => Object.create(null);
+
+/**
+ * Whether `key` is exactly what addressKey produces: lowercase host, explicit port, and a path
+ * (plus query) without a trailing slash, or none at all.
+ * @param {string} key
+ */
+export function isCanonicalKey(key) {
+  if (!key || key.length > 300) return false;
+  let u;
+  try {
+    u = new URL(`ws://${key}`);
+  } catch {
+    return false;
+  }
+  if (u.username || u.password || u.hash) return false;
+  const path = u.pathname + u.search;
+  if (u.pathname !== "/" && u.pathname.endsWith("/")) return false;
+  // ws: drops :80 from the URL, but a canonical key always spells the port out
+  return `${u.hostname}:${u.port || 80}${path === "/" ? "" : path}` === key;
+}
+
+/** @returns {{ votes: Record<string, Record<string, 1|-1>>, reports: Record<string, Record<string, { reason: string, note?: string, t: number }>> }} */
+function loadData(file) {
+  if (!existsSync(file)) return { votes: dict(), reports: dict() };
+  const parsed = JSON.parse(readFileSync(file, "utf8"), (_, v) => (v && typeof v === "object" && !Array.isArray(v) ? Object.assign(dict(), v) : v));
+  return { votes: parsed.votes || dict(), reports: parsed.reports || dict() };
+}
+
+// ------------------------------
+// Rate limiting
+// ------------------------------
+
+/**
+ * Sliding-window write limiter keyed by client id and IP.
+ * @returns {{ limit: (...ids: string[]) => number, sweep: () => void }}
+ */
+function createLimiter() {
+  /** @type {Map<string, number[]>} */
+  const writes = new Map();
+  return {
+    /** @returns {number} seconds to wait, 0 if allowed (and then counted) */
+    limit(...ids) {
+      const now = Date.now();
+      let wait = 0;
+      for (const id of ids) {
+        const recent = (writes.get(id) || []).filter((t) => now - t < LIMIT.windowMs);
+        writes.set(id, recent);
+        if (recent.length >= LIMIT.max) wait = Math.max(wait, recent[0] + LIMIT.windowMs - now);
+      }
+      if (wait) return Math.ceil(wait / 1000);
+      for (const id of ids) writes.get(id).push(now);
+      return 0;
+    },
+    /** Forget idle clients so the map doesn't grow forever */
+    sweep() {
+      const now = Date.now();
+      for (const [id, log] of writes) if (!log.some((t) => now - t < LIMIT.windowMs)) writes.delete(id);
+    },
+  };
+}
+
+// ------------------------------
+// HTTP
+// ------------------------------
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > BODY_MAX) {
+        reject(Object.assign(new Error("Body too large"), { status: 413 }));
+        req.destroy();
+      } else chunks.push(c);
+    });
+    req.on("end", () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {});
+      } catch {
+        reject(Object.assign(new Error("Body is not JSON"), { status: 400 }));
+      }
+    });
+  });
+}
+
+/**
+ * @param {{ dataFile?: string, allowOrigin?: string }} [opts]
+ * @returns {import("node:http").Server} Not yet listening
+ */
+export function createCommunityServer({ dataFile = DATA_FILE, allowOrigin = ALLOW_ORIGIN } = {}) {
+  const data = loadData(dataFile);
+  const { limit, sweep } = createLimiter();
+
+  let saveTimer = null;
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      writeFileSync(dataFile, JSON.stringify(data));
+    }, 500);
+  }
+
+  function countsFor(key) {
+    const c = { up: 0, down: 0, reports: 0, reasons: {} };
+    for (const v of Object.values(data.votes[key] || {})) {
+      if (v === 1) c.up++;
+      else c.down++;
+    }
+    for (const r of Object.values(data.reports[key] || {})) {
+      c.reports++;
+      c.reasons[r.reason] = (c.reasons[r.reason] || 0) + 1;
+    }
+    return c;
+  }
+
+  function allCounts() {
+    const keys = new Set([...Object.keys(data.votes), ...Object.keys(data.reports)]);
+    return Object.fromEntries([...keys].map((k) => [k, countsFor(k)]));
+  }
+
+  async function handle(req, res) {
+    res.setHeader("Access-Control-Allow-Origin", allowOrigin);
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Client-Id");
+    res.setHeader("Access-Control-Allow-Methods", "GET, PUT, POST, OPTIONS");
+    res.setHeader("Access-Control-Expose-Headers", "Retry-After");
+    if (req.method === "OPTIONS") return res.writeHead(204).end();
+
+    const url = new URL(req.url, "http://localhost");
+    const client = String(req.headers["x-client-id"] || "");
+    const validClient = /^[\w-]{8,64}$/.test(client);
+
+    if (req.method === "GET" && url.pathname === "/v1/counts") return send(res, 200, { counts: allCounts() });
+    if (req.method === "GET" && url.pathname === "/v1/votes/mine") {
+      if (!validClient) return send(res, 400, { error: "Missing or invalid X-Client-Id" });
+      const votes = {};
+      for (const [key, byClient] of Object.entries(data.votes)) if (byClient[client]) votes[key] = byClient[client];
+      return send(res, 200, { votes });
+    }
+
+    const m = url.pathname.match(/^\/v1\/(votes|reports)\/([^/]+)$/);
+    if (!m || (m[1] === "votes" ? req.method !== "PUT" : req.method !== "POST")) return send(res, 404, { error: "Not found" });
+    if (!validClient) return send(res, 400, { error: "Missing or invalid X-Client-Id" });
+    let key;
+    try { key = decodeURIComponent(m[2]); } catch { return send(res, 400, { error: "Bad server key" }); }
+    if (!isCanonicalKey(key)) return send(res, 400, { error: "Bad server key" });
+
+    const body = (await readBody(req)) || {};
+    if (m[1] === "votes" && ![1, -1, 0].includes(body.value)) return send(res, 400, { error: "value must be 1, -1 or 0" });
+    if (m[1] === "reports" && !REASONS.includes(body.reason)) return send(res, 400, { error: `reason must be one of ${REASONS.join(", ")}` });
+    const wait = limit(`client:${client}`, `ip:${req.socket.remoteAddress}`);
+    if (wait) return send(res, 429, { error: "Too many votes or reports" }, { "Retry-After": String(wait) });
+
+    if (m[1] === "votes") {
+      const byClient = (data.votes[key] ||= dict());
+      if (body.value) byClient[client] = body.value;
+      else delete byClient[client];
+      if (!Object.keys(byClient).length) delete data.votes[key];
+    } else {
+      const note = typeof body.note === "string" ? body.note.trim().slice(0, NOTE_MAX) : "";
+      (data.reports[key] ||= dict())[client] = { reason: body.reason, ...(note && { note }), t: Date.now() };
+    }
+    save();
+    return send(res, 200, { counts: countsFor(key) });
+  }
+
+  const server = createServer((req, res) => {
+    handle(req, res).catch((err) => send(res, err.status || 500, { error: err.status ? err.message : "Internal error" }));
+  });
+  const sweeper = setInterval(sweep, LIMIT.windowMs).unref();
+  server.on("close", () => {
+    clearInterval(sweeper);
+    // Don't lose the last second of writes
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      writeFileSync(dataFile, JSON.stringify(data));
+    }
+  });
+  return server;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  createCommunityServer().listen(PORT, () => console.log(`Community API on http://localhost:${PORT}/v1 (data in ${DATA_FILE})`));
+}
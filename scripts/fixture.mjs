@@ -0,0 +1,62 @@
+/**
+ * Deterministic fake directory for load testing: names, hosts, tags and descriptions drawn from
+ * a seeded PRNG so every run (and every machine) sees the same list.
+ * Used by bench-search.mjs and generate-fixture.mjs.
+ */
+import { loadServersFile } from "./schema.mjs";
+
+const PREFIXES = ["Sky", "Block", "Craft", "Ender", "Nether", "Pixel", "Mega", "Hyper", "Lunar", "Frost", "Iron", "Void", "Dragon", "Cube", "Star"];
+const SUFFIXES = ["Network", "MC", "Realms", "Craft", "Land", "PvP", "Zone", "Hub", "World", "Nation", "Isles", "Union"];
+const BLURBS = [
+  "Cracked server, any client welcome.",
+  "Daily events and a friendly community.",
+  "Competitive duels with ranked ladders.",
+  "Build anything in a peaceful world.",
+  "Player-run shops and a real economy.",
+  "No rules, no resets, no mercy.",
+  "Custom minigames updated every week.",
+];
+const REGIONS = ["", "EU", "NA", "Asia", "OCE", "SA"];
+const SOURCES = ["community", "TopEaglerServers", "Fixture"];
+const VERSIONS = ["1.5.2", "1.8.8", "1.12.2"];
+
+/** mulberry32: tiny, fast and good enough for test data */
+function prng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * @param {number} count
+ * @param {number=} seed
+ * @returns {import("../src/data/servers.js").ServerItem[]}
+ */
+export function generateServers(count, seed = 1) {
+  const rand = prng(seed);
+  const pick = (list) => list[Math.floor(rand() * list.length)];
+  const { tags: allTags } = loadServersFile();
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const name = `${pick(PREFIXES)}${pick(SUFFIXES)}${rand() < 0.3 ? ` ${i}` : ""}`;
+    const tags = allTags.filter(() => rand() < 0.25);
+    const region = pick(REGIONS);
+    out.push({
+      id: `fixture-${i}`,
+      name,
+      url: `wss://${name.toLowerCase().replace(/[^a-z0-9]+/g, "-")}-${i}.example.net`,
+      tags: tags.length ? tags : [pick(allTags)],
+      short: pick(BLURBS),
+      ...(region && { region }),
+      source: pick(SOURCES),
+      votes: Math.floor(rand() * 500),
+      ...(rand() < 0.5 && { clientVersions: VERSIONS.filter(() => rand() < 0.5) }),
+    });
+  }
+  return out;
+}
@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+/**
+ * Write a large fake directory as a feed, for trying the windowed views and search worker by hand:
+ * run `npm run dev`, then subscribe to /fixtures/servers-10k.json under Feeds.
+ *
+ *   node scripts/generate-fixture.mjs [count] [seed]
+ */
+import { mkdirSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { generateServers } from "./fixture.mjs";
+
+const count = Number(process.argv[2]) || 10000;
+const seed = Number(process.argv[3]) || 1;
+const dir = fileURLToPath(new URL("../public/fixtures/", import.meta.url));
+const name = `servers-${count >= 1000 && count % 1000 === 0 ? `${count / 1000}k` : count}.json`;
+
+mkdirSync(dir, { recursive: true });
+const feed = { format: "eaglercraft-feed", version: 1, name: `Fixture (${count} servers)`, servers: generateServers(count, seed) };
+writeFileSync(dir + name, JSON.stringify(feed));
+console.log(`Wrote public/fixtures/${name}`);
@@ -0,0 +1,89 @@
+/**
+ * Schema for src/data/servers.json, shared by the validation and static-build scripts.
+ * Plain Node, no dependencies, so CI can run it without installing anything.
+ */
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+export const SERVERS_FILE = fileURLToPath(new URL("../src/data/servers.json", import.meta.url));
+
+/** Field name -> check. Keys outside this list are rejected so typos don't slip through. */
+const FIELDS = {
+  id: (v) => typeof v === "string" && /^[a-z0-9][a-z0-9-]*$/.test(v) || "must be lowercase letters, digits and dashes (it becomes a URL path)",
+  name: (v) => typeof v === "string" && v.trim() !== "" || "must be a non-empty string",
+  url: (v) => typeof v === "string" && /^wss:\/\/[^/\s]+/.test(v) || "must be a wss:// URL",
+  tags: (v) => Array.isArray(v) || "must be an array",
+  short: (v) => typeof v === "string" || "must be a string",
+  region: (v) => typeof v === "string" || "must be a string",
+  votes: (v) => Number.isInteger(v) && v >= 0 || "must be a non-negative integer",
+  community: (v) => typeof v === "boolean" || "must be a boolean",
+  source: (v) => typeof v === "string" || "must be a string",
+  clientVersions: (v) => Array.isArray(v) || "must be an array",
+  homepage: (v) => typeof v === "string" && /^https?:\/\/\S+$/.test(v) || "must be an http(s) URL",
+};
+const REQUIRED = ["id", "name", "url", "tags"];
+
+export function loadServersFile(file = SERVERS_FILE) {
+  return JSON.parse(readFileSync(file, "utf8"));
+}
+
+/** Lowercased host of a wss:// URL, or null if it doesn't parse */
+export function hostOf(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {any} data - Parsed servers.json
+ * @returns {string[]} Human-readable problems; empty when the file is valid
+ */
+export function validateServersFile(data) {
+  const errors = [];
+  if (!data || typeof data !== "object") return ["root must be an object with tags, clientVersions and servers"];
+  const tags = data.tags;
+  if (!Array.isArray(tags) || !tags.every((t) => typeof t === "string" && t)) errors.push("tags must be an array of strings");
+  else if (new Set(tags).size !== tags.length) errors.push("tags contains duplicates");
+  const known = new Set(Array.isArray(tags) ? tags : []);
+  const versions = data.clientVersions;
+  if (!Array.isArray(versions) || !versions.every((v) => typeof v === "string" && v)) errors.push("clientVersions must be an array of strings");
+  const knownVersions = new Set(Array.isArray(versions) ? versions : []);
+  if (!Array.isArray(data.servers)) return [...errors, "servers must be an array"];
+
+  const ids = new Map();
+  const hosts = new Map();
+  data.servers.forEach((s, i) => {
+    const where = `servers[${i}]${typeof s?.id === "string" ? ` (${s.id})` : ""}`;
+    if (!s || typeof s !== "object" || Array.isArray(s)) {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    for (const key of REQUIRED) if (!(key in s)) errors.push(`${where}: missing ${key}`);
+    for (const [key, value] of Object.entries(s)) {
+      const check = FIELDS[key];
+      if (!check) { errors.push(`${where}: unknown field ${key}`); continue; }
+      const res = check(value);
+      if (res !== true) errors.push(`${where}: ${key} ${res}`);
+    }
+    if (Array.isArray(s.tags)) {
+      for (const t of s.tags) if (!known.has(t)) errors.push(`${where}: unknown tag ${JSON.stringify(t)}`);
+      if (new Set(s.tags).size !== s.tags.length) errors.push(`${where}: duplicate tags`);
+    }
+    if (Array.isArray(s.clientVersions)) {
+      for (const v of s.clientVersions) if (!knownVersions.has(v)) errors.push(`${where}: unknown client version ${JSON.stringify(v)}`);
+    }
+    if (typeof s.id === "string") {
+      if (ids.has(s.id)) errors.push(`${where}: id already used by servers[${ids.get(s.id)}]`);
+      else ids.set(s.id, i);
+    }
+    const host = typeof s.url === "string" ? hostOf(s.url) : null;
+    if (typeof s.url === "string" && s.url.startsWith("wss://") && !host) errors.push(`${where}: url does not parse`);
+    if (host) {
+      if (hosts.has(host)) errors.push(`${where}: host ${host} already listed by servers[${hosts.get(host)}]`);
+      else hosts.set(host, i);
+    }
+  });
+  return errors;
+}
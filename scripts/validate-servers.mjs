@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+/**
+ * Validate src/data/servers.json (or a path given as the first argument).
+ * Exits non-zero with one line per problem; run in CI on every push and pull request.
+ *
+ *   node scripts/validate-servers.mjs [file]
+ */
+import { loadServersFile, validateServersFile, SERVERS_FILE } from "./schema.mjs";
+
+const file = process.argv[2] || SERVERS_FILE;
+
+let data;
+try {
+  data = loadServersFile(file);
+} catch (e) {
+  console.error(`${file}: ${e.message}`);
+  process.exit(1);
+}
+
+const errors = validateServersFile(data);
+if (errors.length) {
+  for (const e of errors) console.error(`${file}: ${e}`);
+  console.error(`\n${errors.length} problem${errors.length === 1 ? "" : "s"} found`);
+  process.exit(1);
+}
+console.log(`${file}: ${data.servers.length} servers OK`);
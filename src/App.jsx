@@ -2,128 +2,149 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
 import { Badge } from "@/components/ui/badge";
 import { Checkbox } from "@/components/ui/checkbox";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
 import { ToastProvider, useToast } from "@/components/ui/use-toast";
+import { ToastAction } from "@/components/ui/toast";
 import { Separator } from "@/components/ui/separator";
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
-import { Copy, Link as LinkIcon, Plus, Upload, Download, Wifi, WifiOff, Search, Moon, SunMedium, Globe2 } from "lucide-react";
+import { Copy, Link as LinkIcon, Plus, Upload, Wifi, WifiOff, Search, Moon, SunMedium, Globe2, Activity, X, Pencil, Trash2, EyeOff, RotateCcw, Star, FolderPlus, StickyNote, Gamepad2, Bell, BellOff, CloudOff, AlertTriangle, ArrowDown, ArrowUp, ArrowUpDown, Command, Flag, Languages } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
+import ImportWizard from "@/components/ImportWizard";
+import ExportDialog from "@/components/ExportDialog";
+import FeedsDialog from "@/components/FeedsDialog";
+import ServerDetail from "@/components/ServerDetail";
+import DuplicatesDialog from "@/components/DuplicatesDialog";
+import ClientsDialog from "@/components/ClientsDialog";
+import VirtualRows from "@/components/VirtualRows";
+import CommandPalette from "@/components/CommandPalette";
+import VoteButtons from "@/components/VoteButtons";
+import ReportDialog, { ReportedBadge } from "@/components/ReportDialog";
+import { stripFormatting } from "@/lib/query";
+import { FAVORITE_RECHECK_HIDDEN_MS, FAVORITE_RECHECK_MS, appendSample, checkServer, lastSample, loadHistory, runQueue, saveHistory, uptime } from "@/lib/monitor";
+import { loadDirectory, saveDirectory, validateGroups } from "@/lib/storage";
+import { decodeShare, readSharePayload } from "@/lib/exporter";
+import { buildQuery, parseQuery } from "@/lib/urlState";
+import { FEED_REFRESH_MS, createSubscription, fetchFeed, loadSubscriptions, markOverrides, reconcileFeed, saveSubscriptions } from "@/lib/feeds";
+import { addressKey, homepageUrl, normalizeAddress } from "@/lib/address";
+import { findDuplicates, mergeServers } from "@/lib/duplicates";
+import { parseRoute, serverHref } from "@/lib/router";
+import { launchUrl, loadClients, pickClient, saveClients } from "@/lib/launch";
+import { disableNotifications, enableNotifications, notificationsEnabled, notificationsSupported, notify } from "@/lib/pwa";
+import { buildIndex, highlightParts } from "@/lib/search";
+import { LARGE_LIST, filterServers, lazyMatches, summarizeHistory } from "@/lib/filter";
+import { COUNTS_REFRESH_MS, communityKey, createCommunityProvider, emptyCounts } from "@/lib/community";
+import { I18nContext, LOCALES, createTranslator, detectLocale, isLocale, useT } from "@/lib/i18n";
+import { ALL_TAGS, CLIENT_VERSIONS, SEED_SERVERS } from "@/data/servers";
 
 /**
  * Eaglercraft Server Directory – Single-File React App
  * - Production-ready UI using Tailwind + shadcn/ui
- * - Search, filter, sort, add custom servers, import/export JSON
- * - Lightweight status check via WebSocket (best‑effort; may not work for all servers)
- * - Data persistence via localStorage
+ * - Fuzzy, field-aware search (tag:, region:, source:, -exclusions), tri-state tag filters, sort, add custom servers, import (JSON, CSV, address lists) with preview, export (client list, CSV, Markdown, share links)
+ * - Favorites, private notes and user-defined groups
+ * - Canonical addresses (bare hosts get wss://, ws:// for LAN only) and a merge tool for duplicates
+ * - Subscriptions to upstream list feeds, refreshed in the background
+ * - Per-server detail view at #/server/<id> (address breakdown, latency history, similar servers)
+ * - "Play" opens the server in the user's preferred Eaglercraft web client (configurable URL templates)
+ * - Status check via the Eaglercraft MOTD query over WebSocket (MOTD, players, version, icon)
+ * - Data persistence via a versioned localStorage envelope (IndexedDB once the quota runs out)
+ * - Installable PWA that opens offline; favorites are re-checked in the background, with opt-in "back online" notifications
+ * - Scales to thousands of servers: windowed grid/table and search/sort in a Web Worker past LARGE_LIST
+ * - Keyboard first: / to search, arrow keys between servers, c/p/f on the focused one, Ctrl+K command palette
+ * - Community up/down votes and reports through a pluggable provider (this browser only, or a small REST API)
+ * - English, Spanish, Portuguese and Russian UI (catalogs in src/locales); names sort by the chosen language's rules
  *
  * WHY certain choices:
- * - WebSocket ping is opt-in per server to avoid unnecessary connections and because many servers require specific paths.
+ * - WebSocket ping is opt-in (per server or "Check all") to avoid unnecessary connections and because many servers require specific paths.
  * - LocalStorage used so users can extend/curate their own list without a backend.
  * - Minimal JS footprint, no external backend calls to avoid CORS issues.
  */
 
 // ------------------------------
-// Types
+// Utilities
 // ------------------------------
-/** @typedef {"PvP"|"Minigames"|"Survival"|"Creative"|"Economy"|"Factions"|"Practice"|"Skywars"|"Bedwars"|"Skyblock"|"Anarchy"|"Other"} GameTag */
-
-/**
- * @typedef {Object} ServerItem
- * @property {string} id - Stable id
- * @property {string} name
- * @property {string} url - wss:// WebSocket endpoint (or domain that works with wss://)
- * @property {GameTag[]} tags
- * @property {string=} short
- * @property {string=} region
- * @property {number=} votes
- * @property {boolean=} community
- * @property {string=} source
- */
+const THEME_KEY = "eaglercraft-theme";
+const LANGUAGE_KEY = "eaglercraft-language";
+const SEED_IDS = new Set(SEED_SERVERS.map((s) => s.id));
 
-// ------------------------------
-// Seed data (sourced from public directories)
-// ------------------------------
-/** @type {ServerItem[]} */
-const SEED_SERVERS = [
-  { id: "nexo", name: "NexoX", url: "wss://nexo-app.net", tags: ["PvP", "Economy", "Minigames", "Survival"], short: "Explore endless adventures.", source: "TopEaglerServers" },
-  { id: "bedwetter", name: "Bedwetter", url: "wss://bedwetr.bytommy.uk", tags: ["PvP", "Minigames", "Survival"], short: "Bedwars by Tommy.", source: "TopEaglerServers" },
-  { id: "brandor", name: "Lost At Brandor", url: "wss://31066.ddnod.es", tags: ["PvP", "Minigames"], short: "1.8.8 Eagler RPG.", source: "TopEaglerServers" },
-  { id: "nobnot", name: "noBnoT Anarchy", url: "wss://eagler.noBnoT.org", tags: ["Anarchy", "PvP", "Survival"], short: "True anarchy.", source: "TopEaglerServers" },
-  { id: "webmc", name: "WebMC", url: "wss://play.webmc.fun", tags: ["PvP", "Economy", "Minigames", "Survival", "Creative"], short: "Oneblock server.", source: "TopEaglerServers" },
-  { id: "carrot", name: "CarrotCraft Network", url: "wss://eagler.carrot-craft.org", tags: ["PvP", "Economy", "Survival"], short: "Survival & Skyblock.", source: "TopEaglerServers" },
-  { id: "cleverteaching", name: "xdmany4006MC (Clever Teaching)", url: "wss://clever-teaching.com", tags: ["PvP", "Minigames", "Survival", "Creative"], short: "Public hub.", source: "TopEaglerServers" },
-  { id: "ricenetwork", name: "Rice Network x BallCraft", url: "wss://mc.ricenetwork.xyz", tags: ["PvP", "Economy", "Minigames"], short: "Diverse network.", source: "TopEaglerServers" },
-  { id: "zentic", name: "Zentic", url: "wss://zentic.cc", tags: ["PvP", "Minigames", "Practice"], short: "Minemen for Eaglercraft.", source: "TopEaglerServers" },
-  { id: "zelz", name: "ZelzNET", url: "wss://play.zelz.net", tags: ["Minigames", "Survival"], short: "Active development.", source: "TopEaglerServers" },
-  // From Eagler Server List (public listing)
-  { id: "arch", name: "ArchMC", url: "wss://arch.mc", tags: ["PvP", "Minigames", "Survival", "Creative", "Other"], short: "Popular mixed modes.", source: "servers.eaglercraft.com" },
-  { id: "tuffnet", name: "TuffNET", url: "wss://play.tuff.tf", tags: ["Survival", "PvP", "Other"], short: "Cracked MC; any client.", source: "servers.eaglercraft.com" },
-];
+/** Seeds and feed entries come back on reload, so removing one hides it instead */
+function isSourced(s) {
+  return SEED_IDS.has(s.id) || !!s.feedId;
+}
 
-const ALL_TAGS = [
-  "PvP", "Minigames", "Survival", "Creative", "Economy", "Factions", "Practice", "Skywars", "Bedwars", "Skyblock", "Anarchy", "Other",
-];
+function cn(...parts) {
+  return parts.filter(Boolean).join(" ");
+}
 
-// ------------------------------
-// Utilities
-// ------------------------------
-const STORAGE_KEY = "eaglercraft-servers-v1";
-const THEME_KEY = "eaglercraft-theme";
+/**
+ * @param {number=} at - epoch ms
+ * @param {Function} t - translator
+ */
+function timeAgo(at, t) {
+  if (!at) return t("status.never");
+  const sec = Math.max(0, Math.round((Date.now() - at) / 1000));
+  if (sec < 60) return t("status.justNow");
+  if (sec < 3600) return t("status.minutesAgo", { count: Math.floor(sec / 60) });
+  if (sec < 86400) return t("status.hoursAgo", { count: Math.floor(sec / 3600) });
+  return t("status.daysAgo", { count: Math.floor(sec / 86400) });
+}
 
-/** @returns {ServerItem[]} */
-function loadServers() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return SEED_SERVERS;
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) return SEED_SERVERS;
-    // Ensure seed servers exist at least once; merge by id
-    const byId = new Map(parsed.map((s) => [s.id, s]));
-    for (const s of SEED_SERVERS) if (!byId.has(s.id)) byId.set(s.id, s);
-    return [...byId.values()];
-  } catch {
-    return SEED_SERVERS;
-  }
+/** @param {import("@/lib/query").ServerStatus=} st */
+function formatPlayers(st) {
+  if (!st?.online || st.playersOnline == null) return "";
+  return st.playersMax != null ? `${st.playersOnline}/${st.playersMax}` : String(st.playersOnline);
 }
 
-/** @param {ServerItem[]} servers */
-function saveServers(servers) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(servers));
+/** Toast text for a failed vote or report: the rate limit is ours to word, API errors come as sent */
+function communityError(err, t) {
+  return err.retryAfter ? t("votes.rateLimited", { seconds: err.retryAfter }) : err.message;
 }
 
-function cn(...parts) {
-  return parts.filter(Boolean).join(" ");
+/** "12/100 players", pluralised by the online count; empty when the server didn't say */
+function playersLabel(st, t) {
+  const players = formatPlayers(st);
+  return players && t("ping.players", { count: st.playersOnline, players });
 }
 
 // ------------------------------
 // Components
 // ------------------------------
-function Header({ theme, onToggleTheme }) {
+function Header({ theme, onToggleTheme, onOpenPalette, onChangeLocale }) {
+  const t = useT();
   return (
     <div className="flex items-center justify-between gap-2 py-4">
       <div className="flex items-center gap-3">
         <Globe2 className="h-6 w-6" />
-        <h1 className="text-2xl font-bold tracking-tight">Eaglercraft Server Directory</h1>
+        <h1 className="text-2xl font-bold tracking-tight">{t("header.title")}</h1>
       </div>
       <div className="flex items-center gap-2">
+        <Button variant="outline" onClick={onOpenPalette} aria-keyshortcuts="Control+K Meta+K">
+          <Command className="h-4 w-4 mr-2" />{t("header.commands")}<kbd className="ml-2 hidden rounded border px-1 text-xs text-muted-foreground sm:inline">Ctrl K</kbd>
+        </Button>
+        <Select value={t.locale} onValueChange={onChangeLocale}>
+          <SelectTrigger className="w-32" aria-label={t("header.language")}><Languages className="h-4 w-4 mr-2 shrink-0" /><SelectValue /></SelectTrigger>
+          <SelectContent>
+            {LOCALES.map((l) => <SelectItem key={l.code} value={l.code} lang={l.code}>{l.name}</SelectItem>)}
+          </SelectContent>
+        </Select>
         <TooltipProvider>
           <Tooltip>
             <TooltipTrigger asChild>
-              <Button variant="secondary" onClick={onToggleTheme} aria-label="Toggle theme">
+              <Button variant="secondary" onClick={onToggleTheme} aria-label={t("header.toggleTheme")}>
                 {theme === "dark" ? <SunMedium className="h-4 w-4" /> : <Moon className="h-4 w-4" />}
               </Button>
             </TooltipTrigger>
-            <TooltipContent>Toggle dark mode</TooltipContent>
+            <TooltipContent>{t("header.toggleThemeHint")}</TooltipContent>
           </Tooltip>
         </TooltipProvider>
         <a
           className="text-sm text-muted-foreground hover:underline"
           href="https://servers.eaglercraft.com/" target="_blank" rel="noreferrer"
-        >Official List</a>
+        >{t("header.officialList")}</a>
         <a
           className="text-sm text-muted-foreground hover:underline"
           href="https://topeaglerservers.com/" target="_blank" rel="noreferrer"
@@ -133,190 +154,1197 @@ function Header({ theme, onToggleTheme }) {
   );
 }
 
-function Filters({ q, setQ, selected, setSelected, sort, setSort }) {
+const LATENCY_OPTIONS = [100, 250, 500, 1000];
+
+/**
+ * Sort keys in menu order; `dir` is the direction each one sorts in, for aria-sort.
+ * Labels are the `sort.<value>` messages.
+ */
+const SORT_OPTIONS = [
+  { value: "relevance" },
+  { value: "name", dir: "ascending" },
+  { value: "favorites", dir: "descending" },
+  { value: "votes", dir: "descending" },
+  { value: "source", dir: "ascending" },
+  { value: "ping", dir: "ascending" },
+  { value: "players", dir: "descending" },
+  { value: "uptime", dir: "descending" },
+];
+
+/** Shown in the command palette footer, labelled `shortcut.<id>`; handled in App's keydown listener */
+const SHORTCUTS = [
+  { keys: "/", id: "search" },
+  { keys: "↑↓←→", id: "move" },
+  { keys: "Enter", id: "details" },
+  { keys: "c", id: "copy" },
+  { keys: "p", id: "ping" },
+  { keys: "f", id: "favorite" },
+  { keys: "Ctrl K", id: "commands" },
+];
+
+function Filters({ q, setQ, searchRef, onSearchExit, tagFilter, setTagFilter, sort, setSort, statusFilter, setStatusFilter }) {
+  const t = useT();
+  const setSF = (patch) => setStatusFilter({ ...statusFilter, ...patch });
+  const { tags, excludeTags, tagMode } = tagFilter;
+  // Each tag cycles: neutral -> include -> exclude -> neutral
+  const cycleTag = (tag) => {
+    if (tags.includes(tag)) setTagFilter({ tags: tags.filter((x) => x !== tag), excludeTags: [...excludeTags, tag] });
+    else if (excludeTags.includes(tag)) setTagFilter({ excludeTags: excludeTags.filter((x) => x !== tag) });
+    else setTagFilter({ tags: [...tags, tag] });
+  };
   return (
     <Card className="mb-4">
       <CardHeader className="pb-2">
-        <CardTitle className="text-lg">Find servers</CardTitle>
-        <CardDescription>Search, filter by tags, and sort.</CardDescription>
+        <CardTitle className="text-lg">{t("filters.title")}</CardTitle>
+        <CardDescription>{t("filters.hint")} <code>tag:pvp region:eu -tag:anarchy</code></CardDescription>
       </CardHeader>
       <CardContent className="grid gap-3 md:grid-cols-3">
         <div className="col-span-1">
           <div className="flex items-center gap-2">
             <Search className="h-4 w-4 text-muted-foreground" />
-            <Input value={q} onChange={(e) => setQ(e.target.value)} placeholder="Search by name or host…" />
+            <Input
+              ref={searchRef}
+              type="search"
+              value={q}
+              onChange={(e) => setQ(e.target.value)}
+              onKeyDown={(e) => {
+                // Down arrow continues into the results
+                if (e.key === "ArrowDown") { e.preventDefault(); onSearchExit(); }
+              }}
+              placeholder={t("filters.searchPlaceholder")}
+              aria-label={t("filters.searchLabel")}
+              aria-keyshortcuts="/"
+            />
           </div>
         </div>
-        <div className="col-span-1 flex flex-wrap gap-2">
-          {ALL_TAGS.map((t) => (
-            <label key={t} className="inline-flex items-center gap-2">
-              <Checkbox checked={selected.includes(t)} onCheckedChange={(c) => {
-                if (c) setSelected([...selected, t]);
-                else setSelected(selected.filter((x) => x !== t));
-              }} />
-              <span className="text-sm">{t}</span>
-            </label>
-          ))}
+        <div className="col-span-1 flex flex-wrap items-center gap-2" role="group" aria-label={t("filters.tagGroup")}>
+          <Select value={tagMode} onValueChange={(v) => setTagFilter({ tagMode: v })}>
+            <SelectTrigger className="h-7 w-20 text-xs" aria-label={t("filters.tagMode")}><SelectValue /></SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">{t("filters.tagModeAll")}</SelectItem>
+              <SelectItem value="any">{t("filters.tagModeAny")}</SelectItem>
+            </SelectContent>
+          </Select>
+          {ALL_TAGS.map((tag) => {
+            const state = tags.includes(tag) ? "include" : excludeTags.includes(tag) ? "exclude" : null;
+            return (
+              <Button
+                key={tag}
+                size="sm"
+                variant={state ? "secondary" : "outline"}
+                className={cn("h-7 px-2 text-xs", state === "include" && "text-green-700 dark:text-green-400", state === "exclude" && "text-red-600 dark:text-red-400 line-through")}
+                aria-label={t(state === "include" ? "filters.tagIncluded" : state === "exclude" ? "filters.tagExcluded" : "filters.tagOff", { tag: t.tag(tag) })}
+                onClick={() => cycleTag(tag)}
+              >
+                {state === "include" ? "+" : state === "exclude" ? "−" : ""}{t.tag(tag)}
+              </Button>
+            );
+          })}
         </div>
         <div className="col-span-1">
           <Select value={sort} onValueChange={setSort}>
-            <SelectTrigger className="w-full"><SelectValue placeholder="Sort" /></SelectTrigger>
+            <SelectTrigger className="w-full" aria-label={t("filters.sort")}><SelectValue placeholder={t("filters.sort")} /></SelectTrigger>
             <SelectContent>
-              <SelectItem value="name">Name (A→Z)</SelectItem>
-              <SelectItem value="votes">Votes (desc)</SelectItem>
-              <SelectItem value="source">Source</SelectItem>
+              {SORT_OPTIONS.map((o) => <SelectItem key={o.value} value={o.value}>{t(`sort.${o.value}`)}</SelectItem>)}
             </SelectContent>
           </Select>
         </div>
+        <div className="md:col-span-3 flex flex-wrap items-center gap-4">
+          <label className="inline-flex items-center gap-2">
+            <Checkbox checked={statusFilter.onlineOnly} onCheckedChange={(c) => setSF({ onlineOnly: !!c })} />
+            <span className="text-sm">{t("filters.onlineOnly")}</span>
+          </label>
+          <label className="inline-flex items-center gap-2">
+            <Checkbox checked={statusFilter.hideUnreachable} onCheckedChange={(c) => setSF({ hideUnreachable: !!c })} />
+            <span className="text-sm">{t("filters.hideUnreachable")}</span>
+          </label>
+          <div className="w-44">
+            <Select value={statusFilter.maxLatency ? String(statusFilter.maxLatency) : "any"} onValueChange={(v) => setSF({ maxLatency: v === "any" ? null : Number(v) })}>
+              <SelectTrigger className="w-full" aria-label={t("filters.maxPing")}><SelectValue placeholder={t("filters.maxPing")} /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="any">{t("filters.anyPing")}</SelectItem>
+                {LATENCY_OPTIONS.map((ms) => <SelectItem key={ms} value={String(ms)}>{t("filters.pingAtMost", { ms })}</SelectItem>)}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
       </CardContent>
     </Card>
   );
 }
 
-function ServerCard({ s, onCopy, onPing }) {
+function Highlight({ text, ranges }) {
+  return highlightParts(text, ranges).map((p, i) => (p.hit
+    ? <mark key={i} className="rounded-sm bg-yellow-200 text-inherit dark:bg-yellow-700">{p.text}</mark>
+    : <React.Fragment key={i}>{p.text}</React.Fragment>));
+}
+
+function StatusDot({ online, checking }) {
+  const t = useT();
+  const color = checking ? "bg-amber-400 animate-pulse" : online == null ? "bg-gray-400" : online ? "bg-green-500" : "bg-red-500";
+  const label = t(checking ? "status.checking" : online == null ? "status.notChecked" : online ? "status.online" : "status.offline");
+  return <span className={cn("inline-block h-2.5 w-2.5 shrink-0 rounded-full", color)} role="img" aria-label={label} title={label} />;
+}
+
+/** Status dot, last-checked time and uptime from stored history */
+function StatusSummary({ samples, checking }) {
+  const t = useT();
+  const last = lastSample(samples);
+  const up = uptime(samples);
+  return (
+    <span className="inline-flex items-center gap-2 text-xs text-muted-foreground">
+      <StatusDot online={last ? last.ok : null} checking={checking} />
+      <span title={last ? new Date(last.t).toLocaleString(t.locale) : undefined}>{timeAgo(last?.t, t)}</span>
+      {up != null && <span>· {t("status.uptime", { percent: up })}</span>}
+    </span>
+  );
+}
+
+function StatusDetails({ status }) {
+  const t = useT();
+  if (!status) return null;
+  if (!status.online) {
+    return <div className="text-xs text-red-600 dark:text-red-400">{t("status.offlineError", { error: status.error || t("status.unreachable") })}</div>;
+  }
+  return (
+    <div className="flex items-start gap-3 rounded-md border p-2">
+      {status.icon && <img src={status.icon} alt="" width={32} height={32} className="h-8 w-8 shrink-0 [image-rendering:pixelated]" />}
+      <div className="min-w-0 text-xs">
+        {status.motd.map((line, i) => <div key={i} className="truncate">{stripFormatting(line) || "\u00a0"}</div>)}
+        <div className="text-muted-foreground">
+          {[playersLabel(status, t), status.version, status.brand, status.latency != null && t("status.latency", { ms: status.latency })].filter(Boolean).join(" · ")}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** Open the server in the preferred client, or the first one matching its listed versions */
+function PlayButton({ s, clients, compact }) {
+  const t = useT();
+  const { target, compatible } = pickClient(clients.targets, clients.preferred, s);
+  const hint = compatible
+    ? t("detail.play", { client: target.name })
+    : t("server.playAnyway", { name: s.name, versions: s.clientVersions.join(", "), client: target.name, version: target.version });
+  const link = (
+    <a href={launchUrl(target, s)} target="_blank" rel="noreferrer" aria-label={hint}>
+      <Gamepad2 className={compact ? "h-3 w-3 mr-1" : "h-4 w-4"} />{compact && t("server.play")}
+    </a>
+  );
+  if (compact) return <Button asChild size="sm" variant="outline" title={hint}>{link}</Button>;
+  return (
+    <TooltipProvider>
+      <Tooltip>
+        <TooltipTrigger asChild>
+          <Button asChild size="icon" variant="outline">{link}</Button>
+        </TooltipTrigger>
+        <TooltipContent>{hint}</TooltipContent>
+      </Tooltip>
+    </TooltipProvider>
+  );
+}
+
+function VersionBadge({ versions }) {
+  const t = useT();
+  if (!versions?.length) return null;
   return (
-    <motion.div layout initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }}>
+    <Badge variant="outline" className="gap-1 border-blue-300 dark:border-blue-700" title={t("server.versionsHint")}>
+      <Gamepad2 className="h-3 w-3" />{versions.join(" · ")}
+    </Badge>
+  );
+}
+
+/** Layout animations cost a lot per card, so long (windowed) lists render plain divs */
+const CARD_MOTION = { layout: true, initial: { opacity: 0, y: 10 }, animate: { opacity: 1, y: 0 } };
+
+/** Cards and rows are focus targets for arrow-key navigation */
+const FOCUS_RING = "outline-none focus-visible:outline focus-visible:outline-2 focus-visible:outline-blue-500";
+
+/** `rest` carries the keyboard-navigation attributes (data-server-id, tabIndex, onFocus) */
+function ServerCard({ s, match, status, samples, pinging, groupNames, clients, community, animate = true, onCopy, onPing, onEdit, onDelete, onToggleFavorite, onVote, onReport, ...rest }) {
+  const t = useT();
+  const isSeed = isSourced(s);
+  const homepage = homepageUrl(s);
+  const Wrap = animate ? motion.div : "div";
+  return (
+    <Wrap {...(animate ? CARD_MOTION : {})} {...rest} role="group" aria-label={s.name} className={cn("rounded-lg focus-visible:outline-offset-2", FOCUS_RING)}>
       <Card className="h-full">
         <CardHeader className="pb-2">
           <CardTitle className="text-lg flex items-center justify-between gap-2">
-            <span className="truncate" title={s.name}>{s.name}</span>
-            <Badge variant="secondary">{s.source || "community"}</Badge>
+            <span className="flex items-center gap-2 min-w-0">
+              <StatusDot online={lastSample(samples)?.ok ?? null} checking={pinging} />
+              <a className="truncate hover:underline" href={serverHref(s.id)} title={t("server.detailsOf", { name: s.name })}><Highlight text={s.name} ranges={match?.ranges.name} /></a>
+            </span>
+            <span className="flex items-center gap-1 shrink-0">
+              <Button size="icon" variant="ghost" className="h-7 w-7" onClick={() => onToggleFavorite(s)} aria-label={s.favorite ? t("detail.unfavorite") : t("detail.favorite")} aria-pressed={!!s.favorite} aria-keyshortcuts="f">
+                <Star className={cn("h-4 w-4", s.favorite && "fill-yellow-400 text-yellow-500")} />
+              </Button>
+              <Badge variant="secondary">{s.source || t("detail.community")}</Badge>
+            </span>
           </CardTitle>
-          {s.short && <CardDescription className="line-clamp-2">{s.short}</CardDescription>}
+          {s.short && <CardDescription className="line-clamp-2"><Highlight text={s.short} ranges={match?.ranges.short} /></CardDescription>}
         </CardHeader>
         <CardContent className="space-y-2">
           <div className="flex items-center justify-between gap-2">
-            <code className="text-sm truncate" title={s.url}>{s.url}</code>
+            <code className="text-sm truncate" title={s.url}><Highlight text={s.url} ranges={match?.ranges.url} /></code>
             <div className="flex items-center gap-2">
+              <PlayButton s={s} clients={clients} />
               <TooltipProvider>
                 <Tooltip>
                   <TooltipTrigger asChild>
-                    <Button size="icon" variant="outline" onClick={() => onCopy(s.url)} aria-label="Copy">
+                    <Button size="icon" variant="outline" onClick={() => onCopy(s.url)} aria-label={t("detail.copy")} aria-keyshortcuts="c">
                       <Copy className="h-4 w-4" />
                     </Button>
                   </TooltipTrigger>
-                  <TooltipContent>Copy wss address</TooltipContent>
+                  <TooltipContent>{t("server.copyHint")}</TooltipContent>
+                </Tooltip>
+              </TooltipProvider>
+              <TooltipProvider>
+                <Tooltip>
+                  <TooltipTrigger asChild>
+                    <Button size="icon" variant="outline" onClick={() => onPing(s)} disabled={pinging} aria-label={t("detail.ping")} aria-keyshortcuts="p">
+                      {pinging ? <WifiOff className="h-4 w-4 animate-pulse" /> : <Wifi className="h-4 w-4" />}
+                    </Button>
+                  </TooltipTrigger>
+                  <TooltipContent>{t("server.pingHint")}</TooltipContent>
+                </Tooltip>
+              </TooltipProvider>
+              <TooltipProvider>
+                <Tooltip>
+                  <TooltipTrigger asChild>
+                    <Button size="icon" variant="outline" onClick={() => onEdit(s)} aria-label={t("detail.edit")}>
+                      <Pencil className="h-4 w-4" />
+                    </Button>
+                  </TooltipTrigger>
+                  <TooltipContent>{t("server.editHint")}</TooltipContent>
                 </Tooltip>
               </TooltipProvider>
               <TooltipProvider>
                 <Tooltip>
                   <TooltipTrigger asChild>
-                    <Button size="icon" variant="outline" onClick={() => onPing(s)} aria-label="Check status">
-                      <Wifi className="h-4 w-4" />
+                    <Button size="icon" variant="outline" onClick={() => onDelete(s)} aria-label={isSeed ? t("server.hide") : t("server.delete")}>
+                      {isSeed ? <EyeOff className="h-4 w-4" /> : <Trash2 className="h-4 w-4" />}
                     </Button>
                   </TooltipTrigger>
-                  <TooltipContent>Quick status check</TooltipContent>
+                  <TooltipContent>{isSeed ? t("server.hideHint") : t("server.deleteHint")}</TooltipContent>
                 </Tooltip>
               </TooltipProvider>
             </div>
           </div>
           <div className="flex flex-wrap gap-2">
-            {s.tags?.map((t) => <Badge key={t} variant="outline">{t}</Badge>)}
+            {s.tags?.map((tag) => <Badge key={tag} variant="outline">{t.tag(tag)}</Badge>)}
+            <VersionBadge versions={s.clientVersions} />
             {s.region && <Badge variant="secondary">{s.region}</Badge>}
+            {s.removedUpstream && <Badge variant="destructive" title={t("server.removedUpstreamHint")}>{t("detail.removedUpstream")}</Badge>}
+            <ReportedBadge counts={community.counts} />
+            {s.groups?.map((g) => groupNames[g] && <Badge key={g} variant="secondary" className="bg-blue-100 dark:bg-blue-900">{groupNames[g]}</Badge>)}
           </div>
+          {s.notes && (
+            <p className="flex items-start gap-1 text-xs italic text-muted-foreground whitespace-pre-line line-clamp-3">
+              <StickyNote className="h-3 w-3 mt-0.5 shrink-0" />{s.notes}
+            </p>
+          )}
+          <StatusDetails status={status} />
         </CardContent>
         <CardFooter className="justify-between">
-          <span className="text-xs text-muted-foreground">{s.votes ? `${s.votes} votes` : "community listed"}</span>
-          <a className="text-xs inline-flex items-center gap-1 text-blue-600 dark:text-blue-400 hover:underline" href={new URL("/", s.url.replace(/^wss:\/\//, "https://")).toString()} target="_blank" rel="noreferrer">
-            <LinkIcon className="h-3 w-3" />
-            Open host
-          </a>
+          <div className="flex flex-col gap-1">
+            <VoteButtons s={s} {...community} onVote={onVote} />
+            <StatusSummary samples={samples} checking={pinging} />
+          </div>
+          <div className="flex flex-col items-end gap-1 text-xs">
+            <a className="text-blue-600 dark:text-blue-400 hover:underline" href={serverHref(s.id)}>{t("server.details")}</a>
+            {homepage && (
+              <a className="inline-flex items-center gap-1 text-blue-600 dark:text-blue-400 hover:underline" href={homepage.url} target="_blank" rel="noreferrer" title={homepage.guessed ? t("server.websiteGuessed") : undefined}>
+                <LinkIcon className="h-3 w-3" />
+                {t("detail.website")}
+              </a>
+            )}
+            <button type="button" className="inline-flex items-center gap-1 text-muted-foreground hover:underline" onClick={() => onReport(s)}>
+              <Flag className="h-3 w-3" />
+              {t("detail.report")}
+            </button>
+          </div>
         </CardFooter>
       </Card>
-    </motion.div>
+    </Wrap>
   );
 }
 
-function AddServerDialog({ onAdd }) {
-  const [open, setOpen] = useState(false);
+// Windowed views: first-guess row heights (measured once rendered) and the table's column count
+const GRID_ROW_ESTIMATE = 260;
+const TABLE_ROW_ESTIMATE = 56;
+const TABLE_COLUMNS = 10;
+
+/** Table column header that sorts by `sortKey`; aria-sort marks the column the list is sorted by */
+function SortHeader({ sortKey, sort, onSort, children }) {
+  const t = useT();
+  const option = SORT_OPTIONS.find((o) => o.value === sortKey);
+  const active = sort === sortKey;
+  const Icon = !active ? ArrowUpDown : option.dir === "ascending" ? ArrowUp : ArrowDown;
+  return (
+    <th className="py-2 pr-2" aria-sort={active ? option.dir : undefined}>
+      <button type="button" className="inline-flex items-center gap-1 hover:underline" onClick={() => onSort(sortKey)} title={t("sort.header", { label: t(`sort.${sortKey}`) })}>
+        {children}
+        <Icon className={cn("h-3 w-3", !active && "opacity-40")} aria-hidden />
+      </button>
+    </th>
+  );
+}
+
+/** One table row; `rest` carries aria-rowindex and the keyboard-navigation attributes */
+function ServerRow({ s, match, status, samples, pinging, groupNames, clients, community, rowRef, onCopy, onPing, onEdit, onDelete, onToggleFavorite, onVote, onReport, ...rest }) {
+  const t = useT();
+  return (
+    <tr ref={rowRef} className={cn("border-b last:border-0 focus-visible:-outline-offset-2", FOCUS_RING)} aria-label={s.name} {...rest}>
+      <td className="py-2 pr-2">
+        <Button size="icon" variant="ghost" className="h-7 w-7" onClick={() => onToggleFavorite(s)} aria-label={s.favorite ? t("detail.unfavorite") : t("detail.favorite")} aria-pressed={!!s.favorite}>
+          <Star className={cn("h-4 w-4", s.favorite && "fill-yellow-400 text-yellow-500")} />
+        </Button>
+      </td>
+      <td className="py-2 pr-2"><StatusDot online={lastSample(samples)?.ok ?? null} checking={pinging} /></td>
+      <td className="py-2 pr-2">
+        <a className="hover:underline" href={serverHref(s.id)}><Highlight text={s.name} ranges={match?.ranges.name} /></a>
+        {s.groups?.length > 0 && <div className="text-xs text-blue-600 dark:text-blue-400">{s.groups.map((g) => groupNames[g]).filter(Boolean).join(", ")}</div>}
+        {s.removedUpstream && <Badge variant="destructive" className="mt-1" title={t("server.removedUpstreamHint")}>{t("detail.removedUpstream")}</Badge>}
+        <ReportedBadge counts={community.counts} className="mt-1" />
+        {s.notes && <div className="text-xs italic text-muted-foreground truncate max-w-xs" title={s.notes}>{s.notes}</div>}
+      </td>
+      <td className="py-2 pr-2"><code className="break-words"><Highlight text={s.url} ranges={match?.ranges.url} /></code></td>
+      <td className="py-2 pr-2">
+        {s.tags?.map(t.tag).join(", ")}
+        {s.clientVersions?.length > 0 && <div><VersionBadge versions={s.clientVersions} /></div>}
+      </td>
+      <td className="py-2 pr-2 text-muted-foreground">{s.source || t("detail.community")}</td>
+      <td className="py-2 pr-2"><VoteButtons s={s} {...community} onVote={onVote} /></td>
+      <td className="py-2 pr-2">
+        {status && (status.online ? (
+          <div className="flex items-center gap-2" title={status.motd.map(stripFormatting).join("\n")}>
+            {status.icon && <img src={status.icon} alt="" width={16} height={16} className="h-4 w-4 [image-rendering:pixelated]" />}
+            <span>{[formatPlayers(status), status.version, t("status.latency", { ms: status.latency })].filter(Boolean).join(" · ")}</span>
+          </div>
+        ) : <span className="text-red-600 dark:text-red-400">{status.error || t("status.offline")}</span>)}
+      </td>
+      <td className="py-2 pr-2 text-muted-foreground whitespace-nowrap">
+        {timeAgo(lastSample(samples)?.t, t)}
+        {uptime(samples) != null && ` · ${t("status.uptime", { percent: uptime(samples) })}`}
+      </td>
+      <td className="py-2 pr-2">
+        <div className="flex items-center gap-2">
+          <PlayButton s={s} clients={clients} compact />
+          <Button size="sm" variant="outline" onClick={() => onCopy(s.url)}><Copy className="h-3 w-3 mr-1"/>{t("server.copy")}</Button>
+          <Button size="sm" variant="outline" onClick={() => onPing(s)} disabled={pinging}>
+            {pinging ? <WifiOff className="h-3 w-3 mr-1 animate-pulse"/> : <Wifi className="h-3 w-3 mr-1"/>}
+            {t("server.ping")}
+          </Button>
+          <Button size="sm" variant="outline" onClick={() => onEdit(s)}><Pencil className="h-3 w-3 mr-1"/>{t("detail.edit")}</Button>
+          <Button size="sm" variant="outline" onClick={() => onDelete(s)}>
+            {isSourced(s) ? <><EyeOff className="h-3 w-3 mr-1"/>{t("server.hide")}</> : <><Trash2 className="h-3 w-3 mr-1"/>{t("server.delete")}</>}
+          </Button>
+          <Button size="icon" variant="ghost" className="h-8 w-8" onClick={() => onReport(s)} aria-label={t("detail.report")} title={t("detail.report")}><Flag className="h-3 w-3"/></Button>
+        </div>
+      </td>
+    </tr>
+  );
+}
+
+/**
+ * Server form shared by "Add server" and "Edit".
+ * When `initial` is given its id and any fields the form doesn't show are carried over unchanged.
+ * The address is saved in canonical form; `servers` is only used to warn about duplicates.
+ */
+function ServerFormDialog({ open, onOpenChange, initial, servers, groups, onSave, trigger }) {
+  const t = useT();
   const [name, setName] = useState("");
   const [url, setUrl] = useState("");
   const [tags, setTags] = useState([]);
   const [short, setShort] = useState("");
-  const valid = name.trim() && /^wss:\/\//.test(url.trim());
+  const [region, setRegion] = useState("");
+  const [homepage, setHomepage] = useState("");
+  const [notes, setNotes] = useState("");
+  const [memberOf, setMemberOf] = useState([]);
+  const [versions, setVersions] = useState([]);
+  const address = url.trim() ? normalizeAddress(url) : null;
+  const duplicate = address?.ok && servers.find((p) => p.id !== initial?.id && addressKey(p.url) === addressKey(address.url));
+  const valid = name.trim() && address?.ok && (!homepage.trim() || /^https?:\/\/\S+$/.test(homepage.trim()));
+
+  useEffect(() => {
+    if (!open) return;
+    setName(initial?.name || ""); setUrl(initial?.url || ""); setTags(initial?.tags || []);
+    setShort(initial?.short || ""); setRegion(initial?.region || ""); setHomepage(initial?.homepage || "");
+    setNotes(initial?.notes || ""); setMemberOf(initial?.groups || []); setVersions(initial?.clientVersions || []);
+  }, [open, initial]);
+
   return (
-    <Dialog open={open} onOpenChange={setOpen}>
-      <DialogTrigger asChild>
-        <Button><Plus className="h-4 w-4 mr-2" />Add server</Button>
-      </DialogTrigger>
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      {trigger && <DialogTrigger asChild>{trigger}</DialogTrigger>}
       <DialogContent>
         <DialogHeader>
-          <DialogTitle>Add a custom server</DialogTitle>
+          <DialogTitle>{initial ? t("form.editTitle", { name: initial.name }) : t("form.addTitle")}</DialogTitle>
         </DialogHeader>
+        {initial?.feedId && <p className="text-xs text-muted-foreground">{t("form.feedNote", { source: initial.source })}</p>}
         <div className="grid gap-3">
-          <Input placeholder="Name" value={name} onChange={(e) => setName(e.target.value)} />
-          <Input placeholder="wss://host.example" value={url} onChange={(e) => setUrl(e.target.value)} />
-          <Input placeholder="Short description (optional)" value={short} onChange={(e) => setShort(e.target.value)} />
+          <Input placeholder={t("form.name")} value={name} onChange={(e) => setName(e.target.value)} />
+          <div className="grid gap-1">
+            <Input placeholder={t("form.address")} value={url} onChange={(e) => setUrl(e.target.value)} />
+            {address && !address.ok && <p className="text-xs text-red-600 dark:text-red-400">{address.reason}</p>}
+            {address?.ok && address.url !== url.trim() && <p className="text-xs text-muted-foreground">{t("form.savedAs")} <code>{address.url}</code></p>}
+            {address?.ok && address.url.startsWith("ws://") && (
+              <p className="text-xs text-amber-600 dark:text-amber-400">{t("form.wsWarning")}</p>
+            )}
+            {duplicate && <p className="text-xs text-amber-600 dark:text-amber-400">{t("form.duplicate", { name: duplicate.name })}</p>}
+          </div>
+          <Input placeholder={t("form.short")} value={short} onChange={(e) => setShort(e.target.value)} />
+          <Input placeholder={t("form.region")} value={region} onChange={(e) => setRegion(e.target.value)} />
+          <Input placeholder={t("form.website")} value={homepage} onChange={(e) => setHomepage(e.target.value)} />
           <div>
-            <div className="text-xs text-muted-foreground mb-2">Tags</div>
+            <div className="text-xs text-muted-foreground mb-2">{t("form.tags")}</div>
             <div className="flex flex-wrap gap-2">
-              {ALL_TAGS.map((t) => (
-                <label key={t} className="inline-flex items-center gap-2">
-                  <Checkbox checked={tags.includes(t)} onCheckedChange={(c) => {
-                    setTags((prev) => c ? [...prev, t] : prev.filter((x) => x !== t));
+              {ALL_TAGS.map((tag) => (
+                <label key={tag} className="inline-flex items-center gap-2">
+                  <Checkbox checked={tags.includes(tag)} onCheckedChange={(c) => {
+                    setTags((prev) => c ? [...prev, tag] : prev.filter((x) => x !== tag));
                   }} />
-                  <span className="text-sm">{t}</span>
+                  <span className="text-sm">{t.tag(tag)}</span>
                 </label>
               ))}
             </div>
           </div>
+          <div>
+            <div className="text-xs text-muted-foreground mb-2">{t("form.versions")}</div>
+            <div className="flex flex-wrap gap-2">
+              {CLIENT_VERSIONS.map((v) => (
+                <label key={v} className="inline-flex items-center gap-2">
+                  <Checkbox checked={versions.includes(v)} onCheckedChange={(c) => {
+                    setVersions((prev) => c ? [...prev, v] : prev.filter((x) => x !== v));
+                  }} />
+                  <span className="text-sm">{v}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          {groups.length > 0 && (
+            <div>
+              <div className="text-xs text-muted-foreground mb-2">{t("form.groups")}</div>
+              <div className="flex flex-wrap gap-2">
+                {groups.map((g) => (
+                  <label key={g.id} className="inline-flex items-center gap-2">
+                    <Checkbox checked={memberOf.includes(g.id)} onCheckedChange={(c) => {
+                      setMemberOf((prev) => c ? [...prev, g.id] : prev.filter((x) => x !== g.id));
+                    }} />
+                    <span className="text-sm">{g.name}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+          <Textarea placeholder={t("form.notes")} value={notes} onChange={(e) => setNotes(e.target.value)} rows={3} />
         </div>
         <DialogFooter>
           <Button disabled={!valid} onClick={() => {
-            onAdd({ id: `custom-${Date.now()}`, name: name.trim(), url: url.trim(), tags, short, community: true });
-            setOpen(false); setName(""); setUrl(""); setTags([]); setShort("");
-          }}>Save</Button>
+            onSave({ name: name.trim(), url: address.url, tags, short: short.trim(), region: region.trim(), homepage: homepage.trim() || undefined, clientVersions: versions.length ? CLIENT_VERSIONS.filter((v) => versions.includes(v)) : undefined, notes: notes.trim(), groups: memberOf });
+            onOpenChange(false);
+          }}>{t("form.save")}</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function AddServerDialog({ servers, groups, onAdd, open, onOpenChange }) {
+  const t = useT();
+  return (
+    <ServerFormDialog
+      open={open}
+      onOpenChange={onOpenChange}
+      servers={servers}
+      groups={groups}
+      trigger={<Button><Plus className="h-4 w-4 mr-2" />{t("add.button")}</Button>}
+      onSave={(fields) => onAdd({ id: `custom-${Date.now()}`, ...fields, community: true })}
+    />
+  );
+}
+
+function EditServerDialog({ server, servers, groups, onClose, onSave }) {
+  return (
+    <ServerFormDialog
+      open={!!server}
+      servers={servers}
+      groups={groups}
+      onOpenChange={(o) => { if (!o) onClose(); }}
+      initial={server}
+      onSave={(fields) => onSave({ ...server, ...fields })}
+    />
+  );
+}
+
+/** Create, rename and delete user-defined groups */
+function GroupsDialog({ groups, onChange }) {
+  const t = useT();
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState([]);
+  const [newName, setNewName] = useState("");
+  useEffect(() => { if (open) { setDraft(groups); setNewName(""); } }, [open, groups]);
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm"><FolderPlus className="h-4 w-4 mr-2" />{t("groups.button")}</Button>
+      </DialogTrigger>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>{t("groups.title")}</DialogTitle>
+        </DialogHeader>
+        <div className="grid gap-2">
+          {draft.length === 0 && <p className="text-sm text-muted-foreground">{t("groups.empty")}</p>}
+          {draft.map((g) => (
+            <div key={g.id} className="flex items-center gap-2">
+              <Input value={g.name} onChange={(e) => setDraft((prev) => prev.map((x) => (x.id === g.id ? { ...x, name: e.target.value } : x)))} />
+              <Button size="icon" variant="outline" aria-label={t("groups.delete", { name: g.name })} onClick={() => setDraft((prev) => prev.filter((x) => x.id !== g.id))}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+          <div className="flex items-center gap-2">
+            <Input placeholder={t("groups.newPlaceholder")} value={newName} onChange={(e) => setNewName(e.target.value)} />
+            <Button variant="secondary" disabled={!newName.trim()} aria-label={t("groups.add")} onClick={() => {
+              setDraft((prev) => [...prev, { id: `group-${Date.now()}`, name: newName.trim() }]);
+              setNewName("");
+            }}><Plus className="h-4 w-4" /></Button>
+          </div>
+        </div>
+        <DialogFooter>
+          <Button onClick={() => { onChange(validateGroups(draft)); setOpen(false); }}>{t("form.save")}</Button>
         </DialogFooter>
       </DialogContent>
     </Dialog>
   );
 }
 
-function ImportExport({ servers, onImport }) {
-  const fileRef = useRef(null);
+function GroupSelect({ groups, value, onChange }) {
+  const t = useT();
+  return (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger className="w-44" aria-label={t("groups.filter")}><SelectValue placeholder={t("groups.all")} /></SelectTrigger>
+      <SelectContent>
+        <SelectItem value="all">{t("groups.all")}</SelectItem>
+        <SelectItem value="favorites">{t("groups.favorites")}</SelectItem>
+        {groups.map((g) => <SelectItem key={g.id} value={g.id}>{g.name}</SelectItem>)}
+      </SelectContent>
+    </Select>
+  );
+}
+
+/** Open state for both dialogs lives in App so the command palette can open them */
+function ImportExport({ servers, filtered, groups, onImport, importDialog, exportDialog }) {
+  const { open, onOpenChange: setOpen } = importDialog;
+  const [sharedText, setSharedText] = useState("");
   const { toast } = useToast();
+  const t = useT();
+
+  // Opening a share link (#share=…) goes straight to the import preview
+  useEffect(() => {
+    const payload = readSharePayload();
+    if (!payload) return;
+    history.replaceState(null, "", location.pathname + location.search);
+    decodeShare(payload)
+      .then((entries) => { setSharedText(JSON.stringify(entries)); setOpen(true); })
+      .catch((err) => toast({ title: t("import.shareUnreadable"), description: String(err), variant: "destructive" }));
+  }, []);
+
   return (
     <div className="flex items-center gap-2">
-      <Button variant="outline" onClick={() => fileRef.current?.click()}>
-        <Upload className="h-4 w-4 mr-2" />Import JSON
-      </Button>
-      <input ref={fileRef} type="file" accept="application/json" className="hidden" onChange={async (e) => {
-        const f = e.target.files?.[0];
-        if (!f) return;
-        try {
-          const text = await f.text();
-          const parsed = JSON.parse(text);
-          if (!Array.isArray(parsed)) throw new Error("Invalid JSON");
-          onImport(parsed);
-          toast({ title: "Imported", description: `Loaded ${parsed.length} servers.` });
-        } catch (err) {
-          toast({ title: "Import failed", description: String(err), variant: "destructive" });
-        } finally {
-          e.target.value = "";
-        }
-      }} />
-      <Button variant="outline" onClick={() => {
-        const blob = new Blob([JSON.stringify(servers, null, 2)], { type: "application/json" });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url; a.download = "eaglercraft-servers.json"; a.click();
-        URL.revokeObjectURL(url);
-      }}>
-        <Download className="h-4 w-4 mr-2" />Export JSON
+      <Button variant="outline" onClick={() => { setSharedText(""); setOpen(true); }}>
+        <Upload className="h-4 w-4 mr-2" />{t("import.button")}
       </Button>
+      <ImportWizard open={open} onOpenChange={setOpen} servers={servers} initialText={sharedText} source={sharedText ? "shared link" : undefined} onApply={onImport} />
+      <ExportDialog servers={servers} filtered={filtered} groups={groups} {...exportDialog} />
     </div>
   );
 }
 
+function OfflineBanner() {
+  const t = useT();
+  return (
+    <div role="status" className="mb-4 flex items-center gap-2 rounded-md border border-amber-300 bg-amber-50 p-3 text-sm text-amber-900 dark:border-amber-700 dark:bg-amber-950 dark:text-amber-200">
+      <CloudOff className="h-4 w-4 shrink-0" />
+      {t("offline.banner")}
+    </div>
+  );
+}
+
+/** The search worker failed and filtering moved back to the page */
+function SearchFallbackBanner({ error }) {
+  const t = useT();
+  return (
+    <div role="status" className="mb-4 flex items-center gap-2 rounded-md border border-amber-300 bg-amber-50 p-3 text-sm text-amber-900 dark:border-amber-700 dark:bg-amber-950 dark:text-amber-200">
+      <AlertTriangle className="h-4 w-4 shrink-0" />
+      <span>
+        {t("search.workerFailed")}
+        {error.message && <span className="ml-1 font-mono text-xs">({error.message})</span>}
+      </span>
+    </div>
+  );
+}
+
+/** Opt in to a notification when a favorite that was down answers again */
+function NotifyToggle() {
+  const [on, setOn] = useState(notificationsEnabled);
+  const { toast } = useToast();
+  const t = useT();
+  if (!notificationsSupported()) return null;
+  return (
+    <TooltipProvider>
+      <Tooltip>
+        <TooltipTrigger asChild>
+          <Button variant="outline" size="icon" aria-pressed={on} aria-label={t("notify.label")} onClick={async () => {
+            if (on) { disableNotifications(); setOn(false); return; }
+            const ok = await enableNotifications();
+            setOn(ok);
+            if (!ok) toast({ title: t("notify.blocked"), description: t("notify.blockedDetail"), variant: "destructive" });
+          }}>
+            {on ? <Bell className="h-4 w-4" /> : <BellOff className="h-4 w-4" />}
+          </Button>
+        </TooltipTrigger>
+        <TooltipContent>{on ? t("notify.on") : t("notify.off")}</TooltipContent>
+      </Tooltip>
+    </TooltipProvider>
+  );
+}
+
 function FooterNote() {
+  const t = useT();
   return (
     <p className="text-xs text-muted-foreground mt-6">
-      Sources: servers.eaglercraft.com & topeaglerservers.com public listings. Some servers may change endpoints or require specific paths.
-      Use the quick status check to verify live connectivity.
+      {t("footer.sources")} {t("footer.checkHint")}
     </p>
   );
 }
 
+/**
+ * The persisted server list plus the seeds the user deleted and the user's groups.
+ * `loaded` stays false until storage has been read so the first save can't clobber it.
+ * Takes App's translator for its toasts; it runs above the i18n provider, so useT() can't see it.
+ */
+function useDirectory({ t }) {
+  const [servers, setServers] = useState([]);
+  const [deletedSeedIds, setDeletedSeedIds] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const backendRef = useRef("localStorage");
+  const { toast } = useToast();
+
+  useEffect(() => {
+    let cancelled = false;
+    loadDirectory().then((res) => {
+      if (cancelled) return;
+      backendRef.current = res.backend;
+      setServers(res.envelope.servers);
+      setDeletedSeedIds(res.envelope.deletedSeedIds);
+      setGroups(res.envelope.groups);
+      setLoaded(true);
+      if (res.rejected.length) {
+        toast({ title: t("storage.invalid"), description: t("storage.invalidDetail", { count: res.rejected.length, backupKey: res.backupKey }), variant: "destructive" });
+      } else if (res.backupKey) {
+        toast({ title: t("storage.unreadable"), description: t("storage.unreadableDetail", { backupKey: res.backupKey, error: res.error }), variant: "destructive" });
+      }
+    }).catch((err) => {
+      if (cancelled) return;
+      // Don't mark as loaded: saving seeds now would overwrite whatever we failed to read
+      setServers(SEED_SERVERS);
+      toast({ title: t("storage.loadFailed"), description: String(err), variant: "destructive" });
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    if (!loaded) return;
+    saveDirectory({ servers, deletedSeedIds, groups }, backendRef.current)
+      .then((backend) => { backendRef.current = backend; })
+      .catch((err) => toast({ title: t("storage.saveFailed"), description: String(err), variant: "destructive" }));
+  }, [servers, deletedSeedIds, groups, loaded]);
+
+  return { servers, setServers, deletedSeedIds, setDeletedSeedIds, groups, setGroups, loaded };
+}
+
+/**
+ * Per-server status state: live results of the last query, rolling history (persisted),
+ * and the set of ids currently being checked.
+ */
+function useStatusMonitor() {
+  /** @type {[Record<string, import("@/lib/query").ServerStatus>, Function]} */
+  const [statuses, setStatuses] = useState({});
+  const [history, setHistory] = useState(loadHistory);
+  const [checking, setChecking] = useState(() => new Set());
+  const [progress, setProgress] = useState(null); // { done, total } while "Check all" runs
+  const abortRef = useRef(null);
+
+  useEffect(() => { saveHistory(history); }, [history]);
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  function mark(id, on) {
+    setChecking((prev) => {
+      const next = new Set(prev);
+      if (on) next.add(id); else next.delete(id);
+      return next;
+    });
+  }
+
+  /** @returns {Promise<import("@/lib/query").ServerStatus|null>} */
+  async function check(s, signal) {
+    mark(s.id, true);
+    try {
+      const st = await checkServer(s, { signal });
+      if (st) {
+        setStatuses((prev) => ({ ...prev, [s.id]: st }));
+        setHistory((prev) => appendSample(prev, s.id, st));
+      }
+      return st;
+    } finally {
+      mark(s.id, false);
+    }
+  }
+
+  /** @returns {Promise<{ total: number, online: number }|null>} null if cancelled or superseded */
+  async function checkAll(list) {
+    abortRef.current?.abort();
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+    setProgress({ done: 0, total: list.length });
+    let online = 0;
+    await runQueue(list, async (s, signal) => {
+      const st = await check(s, signal);
+      if (st?.online) online++;
+      if (!signal.aborted) setProgress((p) => p && { ...p, done: p.done + 1 });
+    }, { signal: ctrl.signal });
+    if (abortRef.current !== ctrl) return null;
+    abortRef.current = null;
+    setProgress(null);
+    return { total: list.length, online };
+  }
+
+  function cancel() {
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setProgress(null);
+  }
+
+  return { statuses, history, checking, progress, check, checkAll, cancel };
+}
+
+/**
+ * Search, tags, sort and view mirrored in the query string.
+ * Each committed change is its own history entry so Back/Forward step through filter states;
+ * consecutive keystrokes in the search box collapse into one entry.
+ */
+function useUrlFilters() {
+  const [state, setState] = useState(() => parseQuery(location.search));
+  const fromUrl = useRef(true); // state came from the URL (first render or popstate): don't write it back
+  const lastWritten = useRef(state);
+  const typing = useRef(false);
+
+  useEffect(() => {
+    const onPop = () => {
+      const next = parseQuery(location.search);
+      fromUrl.current = true;
+      lastWritten.current = next;
+      typing.current = false;
+      setState(next);
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  useEffect(() => {
+    if (fromUrl.current) { fromUrl.current = false; return; }
+    const prev = lastWritten.current;
+    const onlyQ = state.q !== prev.q && Object.keys(state).every((k) => k === "q" || String(state[k]) === String(prev[k]));
+    const write = () => {
+      const search = buildQuery(state, location.search);
+      if (search !== location.search) {
+        const url = location.pathname + search + location.hash;
+        if (onlyQ && typing.current) history.replaceState(null, "", url);
+        else history.pushState(null, "", url);
+      }
+      typing.current = onlyQ;
+      lastWritten.current = state;
+    };
+    if (!onlyQ) return write();
+    const t = setTimeout(write, 400);
+    return () => clearTimeout(t);
+  }, [state]);
+
+  const set = (key) => (value) => setState((s) => ({ ...s, [key]: value }));
+  return {
+    ...state,
+    setQ: set("q"),
+    setTagFilter: (patch) => setState((s) => ({ ...s, ...patch })),
+    setSort: set("sort"),
+    setView: set("view"),
+  };
+}
+
+/**
+ * Feed subscriptions: persisted list, background refresh once the directory has loaded,
+ * and reconciliation of each feed's servers into the directory.
+ */
+function useFeeds({ loaded, setServers, hiddenIds }) {
+  const [subs, setSubs] = useState(loadSubscriptions);
+  const [refreshing, setRefreshing] = useState(false);
+  // Read from timers and async callbacks, so keep the latest values in refs
+  const subsRef = useRef(subs);
+  subsRef.current = subs;
+  const hiddenRef = useRef(hiddenIds);
+  hiddenRef.current = hiddenIds;
+
+  useEffect(() => { saveSubscriptions(subs); }, [subs]);
+
+  async function refresh(ids) {
+    const targets = subsRef.current.filter((sub) => sub.enabled && (!ids || ids.includes(sub.id)));
+    if (!targets.length) return;
+    setRefreshing(true);
+    try {
+      const results = await Promise.all(targets.map(async (sub) => ({ sub, res: await fetchFeed(sub) })));
+      setSubs((prev) => prev.map((p) => {
+        const r = results.find((x) => x.sub.id === p.id);
+        return r ? { ...p, ...r.res.patch } : p;
+      }));
+      setServers((prev) => results.reduce(
+        (acc, { sub, res }) => (res.servers ? reconcileFeed(acc, sub, res.servers, hiddenRef.current) : acc),
+        prev,
+      ));
+    } finally {
+      setRefreshing(false);
+    }
+  }
+
+  useEffect(() => {
+    if (!loaded) return;
+    refresh();
+    const t = setInterval(() => refresh(), FEED_REFRESH_MS);
+    return () => clearInterval(t);
+  }, [loaded]);
+
+  function add(url, label) {
+    const sub = createSubscription(url, label);
+    subsRef.current = [...subsRef.current, sub];
+    setSubs(subsRef.current);
+    refresh([sub.id]);
+  }
+
+  function remove(id) {
+    setSubs((prev) => prev.filter((p) => p.id !== id));
+  }
+
+  /** Put a removed subscription back where it was (undoing an unsubscribe) */
+  function restore(sub, index) {
+    setSubs((prev) => (prev.some((p) => p.id === sub.id) ? prev : [...prev.slice(0, index), sub, ...prev.slice(index)]));
+  }
+
+  function toggle(id) {
+    setSubs((prev) => prev.map((p) => (p.id === id ? { ...p, enabled: !p.enabled } : p)));
+  }
+
+  return { subs, refreshing, refresh, add, remove, restore, toggle };
+}
+
+/** Current hash route (see lib/router); follows links, Back/Forward and manual edits */
+function useHashRoute() {
+  const [route, setRoute] = useState(() => parseRoute(location.hash));
+  useEffect(() => {
+    const onChange = () => setRoute(parseRoute(location.hash));
+    window.addEventListener("hashchange", onChange);
+    window.addEventListener("popstate", onChange);
+    return () => {
+      window.removeEventListener("hashchange", onChange);
+      window.removeEventListener("popstate", onChange);
+    };
+  }, []);
+  // Opening a detail page starts at the top, like a real page load
+  useEffect(() => { if (route) window.scrollTo(0, 0); }, [route?.id]);
+
+  /** Leave the current route, keeping the filters in the query string */
+  function home() {
+    history.pushState(null, "", location.pathname + location.search);
+    setRoute(null);
+  }
+  return { route, home };
+}
+
+function useOnline() {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  useEffect(() => {
+    const on = () => setOnline(true);
+    const off = () => setOnline(false);
+    window.addEventListener("online", on);
+    window.addEventListener("offline", off);
+    return () => {
+      window.removeEventListener("online", on);
+      window.removeEventListener("offline", off);
+    };
+  }, []);
+  return online;
+}
+
+/**
+ * Re-check favorites in the background while the tab is open: every FAVORITE_RECHECK_MS when
+ * visible, stretched to FAVORITE_RECHECK_HIDDEN_MS when hidden, paused while offline.
+ * A favorite whose previous check failed and that now answers raises a notification (if opted in).
+ */
+function useFavoriteWatch({ servers, monitor, online, loaded, t }) {
+  // The timer outlives renders, so it reads the latest list, history, check and language through refs
+  const tRef = useRef(t);
+  tRef.current = t;
+  const serversRef = useRef(servers);
+  serversRef.current = servers;
+  const historyRef = useRef(monitor.history);
+  historyRef.current = monitor.history;
+  const checkRef = useRef(monitor.check);
+  checkRef.current = monitor.check;
+
+  useEffect(() => {
+    if (!loaded || !online) return;
+    const ctrl = new AbortController();
+    let timer = null;
+    let lastRun = Date.now();
+    let running = false;
+
+    async function run() {
+      running = true;
+      lastRun = Date.now();
+      const favorites = serversRef.current.filter((s) => s.favorite);
+      await runQueue(favorites, async (s, signal) => {
+        const before = lastSample(historyRef.current[s.id]);
+        const st = await checkRef.current(s, signal);
+        if (st?.online && before && !before.ok) {
+          notify({
+            title: tRef.current("status.backOnline", { name: s.name }),
+            body: [playersLabel(st, tRef.current), tRef.current("status.latency", { ms: st.latency })].filter(Boolean).join(" · "),
+            tag: `back-online-${s.id}`,
+            url: `${location.pathname}${location.search}${serverHref(s.id)}`,
+          });
+        }
+      }, { concurrency: 2, signal: ctrl.signal });
+      running = false;
+      schedule();
+    }
+
+    // Re-evaluated on every visibility change: returning to a stale tab checks right away
+    function schedule() {
+      clearTimeout(timer);
+      if (ctrl.signal.aborted || running) return;
+      const interval = document.hidden ? FAVORITE_RECHECK_HIDDEN_MS : FAVORITE_RECHECK_MS;
+      timer = setTimeout(run, Math.max(0, lastRun + interval - Date.now()));
+    }
+
+    schedule();
+    document.addEventListener("visibilitychange", schedule);
+    return () => {
+      ctrl.abort();
+      clearTimeout(timer);
+      document.removeEventListener("visibilitychange", schedule);
+    };
+  }, [loaded, online]);
+}
+
+/** Web client launch targets and the preferred one, persisted per browser */
+function useClients() {
+  const [clients, setClients] = useState(loadClients);
+  useEffect(() => { saveClients(clients); }, [clients]);
+  return { clients, setClients, prefer: (id) => setClients((c) => ({ ...c, preferred: id })) };
+}
+
+/**
+ * Community votes and reports (lib/community): everyone's counts, refetched every
+ * COUNTS_REFRESH_MS while online, and this browser's own votes. Writes reject with an Error for
+ * a toast (see communityError); the counts for that server come from the answer.
+ * While the counts can't be loaded, voting is disabled and the buttons say so; the next
+ * successful refresh turns it back on.
+ */
+function useCommunity({ servers, online }) {
+  const provider = useMemo(createCommunityProvider, []);
+  const [counts, setCounts] = useState({});
+  const [mine, setMine] = useState({});
+  const [failed, setFailed] = useState(false);
+  // The local provider needs no network; the API does
+  const reachable = provider.kind === "local" || online;
+
+  useEffect(() => {
+    if (!reachable) return;
+    let cancelled = false;
+    const load = () => Promise.all([provider.counts(), provider.myVotes()])
+      .then(([c, v]) => {
+        if (cancelled) return;
+        setCounts(c);
+        setMine(v);
+        setFailed(false);
+      })
+      .catch(() => { if (!cancelled) setFailed(true); });
+    load();
+    const t = setInterval(load, COUNTS_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(t);
+    };
+  }, [provider, reachable]);
+
+  // Net votes by server id, for the "votes" sort
+  const netVotes = useMemo(() => {
+    const out = {};
+    for (const s of servers) {
+      const c = counts[communityKey(s)];
+      if (c && c.up !== c.down) out[s.id] = c.up - c.down;
+    }
+    return out;
+  }, [servers, counts]);
+
+  /** Props for VoteButtons and ReportedBadge */
+  function of(s) {
+    const key = communityKey(s);
+    return { counts: counts[key] || emptyCounts(), myVote: mine[key] || 0, disabled: !reachable || failed, unavailable: reachable && failed };
+  }
+
+  /** Casting the vote you already have withdraws it; resolves to the vote now held */
+  async function vote(s, value) {
+    const key = communityKey(s);
+    const next = mine[key] === value ? 0 : value;
+    const c = await provider.vote(key, next);
+    setCounts((prev) => ({ ...prev, [key]: c }));
+    setMine((prev) => {
+      const votes = { ...prev };
+      if (next) votes[key] = next;
+      else delete votes[key];
+      return votes;
+    });
+    return next;
+  }
+
+  async function report(s, reason, note) {
+    const key = communityKey(s);
+    const c = await provider.report(key, reason, note);
+    setCounts((prev) => ({ ...prev, [key]: c }));
+  }
+
+  return { shared: provider.kind === "http", netVotes, of, vote, report };
+}
+
+/**
+ * Filtered + sorted view of the directory (lib/filter). Small lists are filtered inline; past
+ * LARGE_LIST the work moves to a worker holding its own index, so typing never waits on it.
+ * Answers to superseded queries are dropped, and the previous result stays up until the next arrives.
+ * If the worker fails (it can't load, or throws) filtering falls back to inline for the rest of the
+ * session and `workerError` ({ message }, possibly empty) is set, so the list keeps working, just slower.
+ */
+function useFilteredServers(servers, history, state, votes, locale) {
+  const large = servers.length > LARGE_LIST;
+  const [workerError, setWorkerError] = useState(null);
+  const inWorker = large && !workerError;
+  const stats = useMemo(() => summarizeHistory(history), [history]);
+  const index = useMemo(() => (inWorker ? null : buildIndex(servers, locale)), [servers, locale, inWorker]);
+  const inline = useMemo(() => index && filterServers(index, state, stats, votes), [index, state, stats, votes]);
+
+  const worker = useRef(null);
+  const latest = useRef(0);
+  const [answer, setAnswer] = useState(null);
+  useEffect(() => {
+    if (!inWorker) return;
+    const w = new Worker(new URL("./workers/search.worker.js", import.meta.url), { type: "module" });
+    w.onmessage = ({ data }) => {
+      if (data.id === latest.current) setAnswer(data);
+    };
+    // A failed module load is a bare Event; an exception inside the worker is an ErrorEvent with a message
+    w.onerror = (e) => setWorkerError({ message: e.message || "" });
+    w.onmessageerror = () => setWorkerError({ message: "" });
+    worker.current = w;
+    return () => {
+      w.terminate();
+      worker.current = null;
+      setAnswer(null);
+    };
+  }, [inWorker]);
+  useEffect(() => { worker.current?.postMessage({ type: "servers", servers, locale }); }, [servers, locale, inWorker]);
+  useEffect(() => { worker.current?.postMessage({ type: "stats", stats }); }, [stats, inWorker]);
+  useEffect(() => { worker.current?.postMessage({ type: "votes", votes }); }, [votes, inWorker]);
+  useEffect(() => {
+    worker.current?.postMessage({ type: "query", id: ++latest.current, state });
+  }, [servers, locale, stats, votes, state, inWorker]);
+
+  const byId = useMemo(() => new Map(servers.map((s) => [s.id, s])), [servers]);
+  return useMemo(() => {
+    const result = inline || answer;
+    if (!result) return { filtered: [], matches: new Map(), large, workerError };
+    // Ids map back to the current objects so edits show before the worker answers again;
+    // a server deleted in the meantime is simply skipped
+    const filtered = result.ids.map((id) => byId.get(id)).filter(Boolean);
+    return { filtered, matches: inline ? inline.matches : lazyMatches(state.q, byId), large, workerError };
+  }, [inline, answer, byId, large, workerError, state.q]);
+}
+
+/** Columns in the grid view at the current width; mirrors `sm:grid-cols-2 lg:grid-cols-3` */
+function useGridColumns() {
+  const get = () => (window.matchMedia("(min-width: 1024px)").matches ? 3 : window.matchMedia("(min-width: 640px)").matches ? 2 : 1);
+  const [columns, setColumns] = useState(get);
+  useEffect(() => {
+    const queries = ["(min-width: 640px)", "(min-width: 1024px)"].map((q) => window.matchMedia(q));
+    const onChange = () => setColumns(get());
+    queries.forEach((m) => m.addEventListener("change", onChange));
+    return () => queries.forEach((m) => m.removeEventListener("change", onChange));
+  }, []);
+  return columns;
+}
+
+/**
+ * Text for a polite live region, so screen readers hear status results that otherwise only show
+ * up in transient toasts. Repeating the same message still gets announced.
+ */
+function useAnnouncer() {
+  const [message, setMessage] = useState("");
+  const announce = (text) => setMessage((m) => (m === text ? `${text}\u00a0` : text));
+  return { message, announce };
+}
+
+/** Document-level keydown listener that always sees the latest render's state */
+function useKeydown(handler) {
+  const ref = useRef(handler);
+  ref.current = handler;
+  useEffect(() => {
+    const onKey = (e) => ref.current(e);
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  }, []);
+}
+
+/**
+ * Keyboard focus within the server list. The active server is the list's single tab stop
+ * (roving tabindex); `focus` moves it and DOM focus together, waiting a few frames for a
+ * windowed row to mount after VirtualRows scrolls it into range.
+ */
+function useServerFocus(filtered) {
+  const [activeId, setActiveId] = useState(null);
+  const [request, setRequest] = useState(null);
+  const activeIndex = useMemo(() => filtered.findIndex((s) => s.id === activeId), [filtered, activeId]);
+  const tabStop = activeIndex >= 0 ? activeId : filtered[0]?.id;
+
+  useEffect(() => {
+    if (!request) return;
+    let frames = 0;
+    let raf;
+    const attempt = () => {
+      const el = document.querySelector(`[data-server-id="${CSS.escape(request.id)}"]`);
+      if (el) el.focus();
+      else if (frames++ < 10) raf = requestAnimationFrame(attempt);
+    };
+    attempt();
+    return () => cancelAnimationFrame(raf);
+  }, [request]);
+
+  return {
+    activeId: activeIndex >= 0 ? activeId : null,
+    activeIndex,
+    focus: (id) => { setActiveId(id); setRequest({ id }); },
+    /** Attributes for a card or row */
+    nav: (s) => ({ "data-server-id": s.id, tabIndex: s.id === tabStop ? 0 : -1, onFocus: () => setActiveId(s.id) }),
+  };
+}
+
 function useTheme() {
   const [theme, setTheme] = useState(() => localStorage.getItem(THEME_KEY) || (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? "dark" : "light"));
   useEffect(() => {
@@ -326,167 +1354,491 @@ function useTheme() {
   return { theme, toggle: () => setTheme((t) => (t === "dark" ? "light" : "dark")) };
 }
 
+/**
+ * UI language: saved choice, else the browser's preferred languages (lib/i18n). Also sets the
+ * document's lang so screen readers and hyphenation follow it.
+ */
+function useLanguage() {
+  const [locale, setLocale] = useState(() => {
+    const saved = localStorage.getItem(LANGUAGE_KEY);
+    return isLocale(saved) ? saved : detectLocale();
+  });
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    localStorage.setItem(LANGUAGE_KEY, locale);
+  }, [locale]);
+  const t = useMemo(() => createTranslator(locale), [locale]);
+  return { t, setLocale };
+}
+
 // ------------------------------
 // Main App
 // ------------------------------
 export default function App() {
-  const [servers, setServers] = useState(loadServers);
-  const [q, setQ] = useState("");
-  const [selected, setSelected] = useState([]);
-  const [sort, setSort] = useState("name");
-  const [pingingId, setPingingId] = useState(null);
+  const { t, setLocale } = useLanguage();
+  const { servers, setServers, deletedSeedIds, setDeletedSeedIds, groups, setGroups, loaded } = useDirectory({ t });
+  const feeds = useFeeds({ loaded, setServers, hiddenIds: deletedSeedIds });
+  const [editing, setEditing] = useState(null);
+  const [group, setGroup] = useState("all");
+  const groupNames = useMemo(() => Object.fromEntries(groups.map((g) => [g.id, g.name])), [groups]);
+  const { q, setQ, tags, excludeTags, tagMode, setTagFilter, sort, setSort, view, setView } = useUrlFilters();
+  const [statusFilter, setStatusFilter] = useState({ onlineOnly: false, hideUnreachable: false, maxLatency: null });
+  const monitor = useStatusMonitor();
+  const { statuses, history, checking } = monitor;
   const { toast } = useToast();
   const { theme, toggle } = useTheme();
+  const { route, home } = useHashRoute();
+  const { clients, setClients, prefer } = useClients();
+  const online = useOnline();
+  useFavoriteWatch({ servers, monitor, online, loaded, t });
+  const community = useCommunity({ servers, online });
+  const [reporting, setReporting] = useState(null);
+  const detail = route?.name === "server" ? servers.find((s) => s.id === route.id) : null;
 
-  useEffect(() => { saveServers(servers); }, [servers]);
+  const filterState = useMemo(
+    () => ({ q, tags, excludeTags, tagMode, group, sort, status: statusFilter }),
+    [q, tags, excludeTags, tagMode, group, sort, statusFilter],
+  );
+  const { filtered, matches, large, workerError } = useFilteredServers(servers, history, filterState, community.netVotes, t.locale);
+  const filteredIds = useMemo(() => filtered.map((s) => s.id), [filtered]);
+  const columns = useGridColumns();
+  const gridRows = useMemo(() => {
+    const rows = [];
+    for (let i = 0; i < filtered.length; i += columns) rows.push(filtered.slice(i, i + columns));
+    return rows;
+  }, [filtered, columns]);
+  const gridKeys = useMemo(() => gridRows.map((r) => r[0].id), [gridRows]);
+  const searchRef = useRef(null);
+  const serverFocus = useServerFocus(filtered);
+  const { message, announce } = useAnnouncer();
+  // Which toolbar dialog (or the command palette) is open; null when none
+  const [dialog, setDialog] = useState(null);
+  const dialogProps = (name) => ({ open: dialog === name, onOpenChange: (o) => setDialog(o ? name : null) });
 
-  const filtered = useMemo(() => {
-    let out = servers.filter((s) => {
-      const matchesQ = (s.name + " " + s.url).toLowerCase().includes(q.toLowerCase());
-      const matchesTags = selected.length === 0 || selected.every((t) => s.tags?.includes(t));
-      return matchesQ && matchesTags;
-    });
-    if (sort === "name") out.sort((a, b) => a.name.localeCompare(b.name));
-    else if (sort === "votes") out.sort((a, b) => (b.votes || 0) - (a.votes || 0));
-    else if (sort === "source") out.sort((a, b) => (a.source || "zzz").localeCompare(b.source || "zzz"));
-    return out;
-  }, [servers, q, selected, sort]);
+  const duplicates = useMemo(() => findDuplicates(servers), [servers]);
+
+  // A deleted group falls back to "all" instead of showing an empty list
+  useEffect(() => {
+    if (group !== "all" && group !== "favorites" && !groupNames[group]) setGroup("all");
+  }, [group, groupNames]);
 
   function addServer(newS) {
     setServers((prev) => [{ ...newS }, ...prev]);
-    toast({ title: "Added", description: `${newS.name} saved locally.` });
+    toast({ title: t("add.done"), description: t("add.doneDetail", { name: newS.name }) });
   }
 
-  function importList(list) {
-    // Basic sanitize & merge by id or url
-    /** @type {ServerItem[]} */
-    const cleaned = list.map((s, i) => ({
-      id: s.id || `import-${Date.now()}-${i}`,
-      name: String(s.name || s.url || "Unnamed"),
-      url: String(s.url || ""),
-      tags: Array.isArray(s.tags) ? s.tags.filter(Boolean) : [],
-      short: s.short || "",
-      region: s.region || "",
-      votes: typeof s.votes === "number" ? s.votes : undefined,
-      community: true,
-      source: s.source || "import",
-    })).filter((s) => /^wss:\/\//.test(s.url));
-
-    setServers((prev) => {
-      const byKey = new Map(prev.map((p) => [p.id || p.url, p]));
-      for (const s of cleaned) byKey.set(s.id || s.url, s);
-      return Array.from(byKey.values());
+  /**
+   * Apply a list change and offer to roll it back.
+   * The snapshot is this render's state, so Undo restores exactly what was on screen;
+   * `onUndo` reverts anything else the change did.
+   */
+  function changeWithUndo(title, description, next, onUndo) {
+    const snapshot = { servers, deletedSeedIds, groups };
+    if (next.servers) setServers(next.servers);
+    if (next.deletedSeedIds) setDeletedSeedIds(next.deletedSeedIds);
+    if (next.groups) setGroups(next.groups);
+    toast({
+      title,
+      description,
+      action: (
+        <ToastAction altText={t("undo")} onClick={() => {
+          setServers(snapshot.servers);
+          setDeletedSeedIds(snapshot.deletedSeedIds);
+          setGroups(snapshot.groups);
+          onUndo?.();
+        }}>{t("undo")}</ToastAction>
+      ),
     });
   }
 
-  async function quickPing(s) {
-    // Best-effort WebSocket open/close with short timeout
-    setPingingId(s.id);
-    const timeoutMs = 3000;
-    let ws;
-    let done = false;
-    const timer = setTimeout(() => {
-      if (!done) {
-        done = true; try { ws?.close(); } catch {}
-        toast({ title: "Status", description: `${s.name}: timed out`, variant: "destructive" });
-        setPingingId(null);
-      }
-    }, timeoutMs);
+  function updateServer(updated) {
+    // Same id, same position: imports keep merging onto this entry. Edits to a feed entry
+    // become overrides, or the next refresh would put the feed's values back
+    changeWithUndo(t("change.saved"), t("change.savedDetail", { name: updated.name }), { servers: servers.map((p) => (p.id === updated.id ? markOverrides(p, updated) : p)) });
+  }
+
+  function deleteServer(s) {
+    const rest = servers.filter((p) => p.id !== s.id);
+    if (isSourced(s)) {
+      changeWithUndo(t("change.hidden"), s.feedId ? t("change.hiddenDetail", { name: s.name, source: s.source }) : t("change.hiddenDetailSeed", { name: s.name }), { servers: rest, deletedSeedIds: [...new Set([...deletedSeedIds, s.id])] });
+    } else {
+      changeWithUndo(t("change.deleted"), t("change.deletedDetail", { name: s.name }), { servers: rest });
+    }
+  }
+
+  function toggleFavorite(s) {
+    setServers((prev) => prev.map((p) => (p.id === s.id ? { ...p, favorite: !p.favorite } : p)));
+  }
+
+  function saveGroups(next) {
+    // Drop memberships of deleted groups so exports don't carry dangling ids
+    const ids = new Set(next.map((g) => g.id));
+    const removed = groups.filter((g) => !ids.has(g.id));
+    if (!removed.length) return setGroups(next);
+    changeWithUndo(t("change.groupsSaved"), t("change.groupsDeleted", { names: removed.map((g) => g.name).join(", ") }), {
+      groups: next,
+      servers: servers.map((p) => (p.groups?.some((g) => !ids.has(g)) ? { ...p, groups: p.groups.filter((g) => ids.has(g)) } : p)),
+    });
+  }
+
+  function restoreHiddenSeeds() {
+    const have = new Set(servers.map((p) => p.id));
+    const restored = SEED_SERVERS.filter((p) => deletedSeedIds.includes(p.id) && !have.has(p.id));
+    // Hidden feed entries reappear on the feed refresh below
+    changeWithUndo(t("change.restored"), t("change.restoredDetail", { count: deletedSeedIds.length }), { servers: [...servers, ...restored], deletedSeedIds: [] });
+    hiddenRefreshPending.current = true;
+  }
+
+  const hiddenRefreshPending = useRef(false);
+  useEffect(() => {
+    if (!hiddenRefreshPending.current) return;
+    hiddenRefreshPending.current = false;
+    feeds.refresh();
+  }, [deletedSeedIds]);
+
+  function unsubscribe(sub) {
+    const index = feeds.subs.findIndex((p) => p.id === sub.id);
+    feeds.remove(sub.id);
+    const rest = servers.filter((p) => p.feedId !== sub.id);
+    changeWithUndo(t("change.unsubscribed"), t("change.unsubscribedDetail", { count: servers.length - rest.length, source: sub.source }), {
+      servers: rest,
+      deletedSeedIds: deletedSeedIds.filter((id) => !id.startsWith(`${sub.id}/`)),
+    }, () => feeds.restore(sub, index));
+  }
+
+  /**
+   * Merge each [primary, others] set into its primary. Merged-away seeds and feed entries are
+   * hidden so the next load or feed refresh doesn't bring the duplicate back, and what a feed
+   * primary gained becomes overrides so the refresh doesn't take it away either.
+   */
+  function mergeDuplicates(sets) {
+    const merged = new Map(sets.map(([primary, others]) => [primary.id, markOverrides(primary, mergeServers(primary, others))]));
+    const gone = sets.flatMap(([, others]) => others);
+    const goneIds = new Set(gone.map((p) => p.id));
+    const hide = gone.filter(isSourced).map((p) => p.id);
+    changeWithUndo(t("change.merged"), sets.length === 1 ? t("change.mergedOne", { count: sets[0][1].length + 1, name: sets[0][0].name }) : t("change.mergedSets", { count: sets.length }), {
+      servers: servers.filter((p) => !goneIds.has(p.id)).map((p) => merged.get(p.id) || p),
+      deletedSeedIds: hide.length ? [...new Set([...deletedSeedIds, ...hide])] : undefined,
+    });
+  }
+
+  /**
+   * Apply the list the import wizard built; groups from directory exports are added if new.
+   * Imported values on feed entries are overrides, like edits
+   */
+  function applyImport(nextServers, importedGroups, { added, changed }) {
+    const have = new Set(groups.map((g) => g.id));
+    const newGroups = importedGroups.filter((g) => !have.has(g.id));
+    const before = new Map(servers.map((p) => [p.id, p]));
+    changeWithUndo(t("change.imported"), t("change.importedDetail", { added, changed }), {
+      servers: nextServers.map((p) => (before.has(p.id) ? markOverrides(before.get(p.id), p) : p)),
+      groups: newGroups.length ? [...groups, ...newGroups] : undefined,
+    });
+  }
+
+  async function copyAddress(url) {
     try {
-      ws = new WebSocket(s.url);
-      ws.onopen = () => {
-        if (done) return; done = true; clearTimeout(timer);
-        toast({ title: "Status", description: `${s.name}: online (socket opened)` });
-        try { ws.close(); } catch {}
-        setPingingId(null);
-      };
-      ws.onerror = () => {
-        if (done) return; done = true; clearTimeout(timer);
-        toast({ title: "Status", description: `${s.name}: unreachable`, variant: "destructive" });
-        setPingingId(null);
-      };
-    } catch (e) {
-      clearTimeout(timer);
-      toast({ title: "Status", description: `${s.name}: ${String(e)}`, variant: "destructive" });
-      setPingingId(null);
+      await navigator.clipboard.writeText(url);
+      toast({ title: t("copy.done"), description: url });
+    } catch (err) {
+      toast({ title: t("copy.failed"), description: err?.message || String(err), variant: "destructive" });
+    }
+  }
+
+  async function voteServer(s, value) {
+    try {
+      const now = await community.vote(s, value);
+      announce(t(now === 0 ? "votes.withdrawn" : now === 1 ? "votes.upvoted" : "votes.downvoted", { name: s.name }));
+    } catch (err) {
+      toast({ title: t("votes.notSaved"), description: communityError(err, t), variant: "destructive" });
+    }
+  }
+
+  /** For ReportDialog: true once the report is stored */
+  async function reportServer(s, reason, note) {
+    try {
+      await community.report(s, reason, note);
+      toast({ title: t("report.done"), description: t(community.shared ? "report.sent" : "report.savedLocally", { name: s.name }) });
+      return true;
+    } catch (err) {
+      toast({ title: t("report.failed"), description: communityError(err, t), variant: "destructive" });
+      return false;
     }
   }
 
+  const renderCard = (s) => (
+    <ServerCard key={s.id} {...serverFocus.nav(s)} s={s} match={matches.get(s.id)} onCopy={copyAddress} onPing={quickPing} status={statuses[s.id]} samples={history[s.id]} pinging={checking.has(s.id)} groupNames={groupNames} clients={clients} community={community.of(s)} animate={!large} onEdit={setEditing} onDelete={deleteServer} onToggleFavorite={toggleFavorite} onVote={voteServer} onReport={setReporting} />
+  );
+
+  const renderRow = (s, i, measure) => (
+    <ServerRow key={s.id} rowRef={measure} aria-rowindex={i + 2} {...serverFocus.nav(s)} s={s} match={matches.get(s.id)} status={statuses[s.id]} samples={history[s.id]} pinging={checking.has(s.id)} groupNames={groupNames} clients={clients} community={community.of(s)} onCopy={copyAddress} onPing={quickPing} onEdit={setEditing} onDelete={deleteServer} onToggleFavorite={toggleFavorite} onVote={voteServer} onReport={setReporting} />
+  );
+
+  async function quickPing(s) {
+    // Real MOTD query; an open socket alone doesn't mean an Eaglercraft server is behind it
+    announce(t("ping.checking", { name: s.name }));
+    const st = await monitor.check(s);
+    if (!st) return;
+    if (st.online) {
+      const players = playersLabel(st, t);
+      const description = players
+        ? t("ping.onlineWithPlayers", { name: s.name, players, ms: st.latency })
+        : t("ping.online", { name: s.name, ms: st.latency });
+      toast({ title: t("ping.title"), description });
+      announce(description);
+    } else {
+      const description = t("ping.offline", { name: s.name, error: st.error });
+      toast({ title: t("ping.title"), description, variant: "destructive" });
+      announce(description);
+    }
+  }
+
+  async function checkAllServers() {
+    announce(t("checkAll.checking", { count: servers.length }));
+    const result = await monitor.checkAll(servers);
+    if (result) announce(t("checkAll.done", { count: result.total, online: result.online }));
+  }
+
+  /** Toolbar dialogs only exist on the list, so leave a detail page first */
+  function openDialog(name) {
+    if (route) home();
+    setDialog(name);
+  }
+
+  function clearFilters() {
+    setQ("");
+    setTagFilter({ tags: [], excludeTags: [] });
+    setStatusFilter({ onlineOnly: false, hideUnreachable: false, maxLatency: null });
+    setGroup("all");
+  }
+
+  // The server shortcuts and palette entries act on: the focused one in the list, or the open detail page
+  const current = route ? detail : filtered[serverFocus.activeIndex] || null;
+
+  const actions = t("palette.actions");
+  /** @type {import("@/components/CommandPalette").PaletteCommand[]} */
+  const commands = [
+    { id: "search", group: actions, label: t("palette.search"), keys: "/", run: () => { if (route) home(); setTimeout(() => searchRef.current?.focus()); } },
+    { id: "add", group: actions, label: t("add.button"), run: () => openDialog("add") },
+    { id: "import", group: actions, label: t("import.title"), run: () => openDialog("import") },
+    { id: "export", group: actions, label: t("export.title"), run: () => openDialog("export") },
+    { id: "check-all", group: actions, label: t("palette.checkAll"), run: checkAllServers },
+    duplicates.length > 0 && { id: "duplicates", group: actions, label: t("palette.duplicates", { count: duplicates.length }), run: () => openDialog("duplicates") },
+    { id: "clients", group: actions, label: t("palette.clients"), run: () => openDialog("clients") },
+    { id: "feeds", group: actions, label: t("palette.feeds"), run: () => openDialog("feeds") },
+    deletedSeedIds.length > 0 && { id: "restore", group: actions, label: t("palette.restore", { count: deletedSeedIds.length }), run: restoreHiddenSeeds },
+    { id: "clear", group: actions, label: t("palette.clear"), run: clearFilters },
+    { id: "view", group: actions, label: view === "grid" ? t("palette.showTable") : t("palette.showGrid"), run: () => setView(view === "grid" ? "table" : "grid") },
+    { id: "theme", group: actions, label: theme === "dark" ? t("palette.lightMode") : t("palette.darkMode"), run: toggle },
+    ...(current ? [
+      { id: "copy", group: current.name, label: t("palette.copy"), keys: "c", run: () => copyAddress(current.url) },
+      { id: "ping", group: current.name, label: t("palette.ping"), keys: "p", run: () => quickPing(current) },
+      { id: "favorite", group: current.name, label: current.favorite ? t("palette.unfavorite") : t("palette.favorite"), keys: "f", run: () => toggleFavorite(current) },
+      { id: "edit", group: current.name, label: t("palette.edit"), run: () => setEditing(current) },
+      !community.of(current).disabled && { id: "upvote", group: current.name, label: community.of(current).myVote === 1 ? t("votes.withdrawUp") : t("votes.up"), run: () => voteServer(current, 1) },
+      !community.of(current).disabled && { id: "downvote", group: current.name, label: community.of(current).myVote === -1 ? t("votes.withdrawDown") : t("votes.down"), run: () => voteServer(current, -1) },
+      { id: "report", group: current.name, label: t("palette.report"), run: () => setReporting(current) },
+      !route && { id: "details", group: current.name, label: t("palette.details"), keys: "Enter", run: () => { location.hash = serverHref(current.id); } },
+    ] : []),
+    ...SORT_OPTIONS.map((o) => ({ id: `sort-${o.value}`, group: t("filters.sort"), label: t("sort.by", { label: t(`sort.${o.value}`) }), run: () => { if (route) home(); setSort(o.value); } })),
+  ].filter(Boolean);
+
+  useKeydown((e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+      e.preventDefault();
+      setDialog((d) => (d === "palette" ? null : "palette"));
+      return;
+    }
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+    const target = /** @type {HTMLElement} */ (e.target);
+    if (target.closest('[role="dialog"]') || target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) return;
+
+    if (e.key === "/" && !route) {
+      e.preventDefault();
+      searchRef.current?.focus();
+      return;
+    }
+    // Everything else needs focus inside the list (or a detail page), so single keys never
+    // fire while someone is just reading the page
+    const item = target.closest("[data-server-list] [data-server-id]");
+    if (!item && !route) return;
+    const s = route ? detail : filtered.find((x) => x.id === item.dataset.serverId);
+    if (!s) return;
+
+    if (!route) {
+      const i = filtered.indexOf(s);
+      const moves = view === "grid"
+        ? { ArrowDown: columns, ArrowUp: -columns, ArrowRight: 1, ArrowLeft: -1 }
+        : { ArrowDown: 1, ArrowUp: -1 };
+      let to = null;
+      if (moves[e.key] !== undefined) to = i + moves[e.key];
+      else if (e.key === "Home") to = 0;
+      else if (e.key === "End") to = filtered.length - 1;
+      if (to !== null) {
+        e.preventDefault();
+        serverFocus.focus(filtered[Math.max(0, Math.min(filtered.length - 1, to))].id);
+        return;
+      }
+      if (e.key === "Enter" && target === item) {
+        location.hash = serverHref(s.id);
+        return;
+      }
+    }
+    if (e.key === "c") copyAddress(s.url);
+    else if (e.key === "p") quickPing(s);
+    else if (e.key === "f") toggleFavorite(s);
+    else return;
+    e.preventDefault();
+  });
+
   return (
-    <ToastProvider>
-      <div className="mx-auto max-w-7xl p-4">
-        <Header theme={theme} onToggleTheme={toggle} />
-        <Separator className="mb-4" />
-
-        <div className="flex flex-wrap items-center gap-3 mb-4">
-          <AddServerDialog onAdd={addServer} />
-          <ImportExport servers={servers} onImport={importList} />
-        </div>
+    <I18nContext.Provider value={t}>
+      <ToastProvider>
+        <div className="mx-auto max-w-7xl p-4">
+          <Header theme={theme} onToggleTheme={toggle} onOpenPalette={() => setDialog("palette")} onChangeLocale={setLocale} />
+          <CommandPalette
+            {...dialogProps("palette")}
+            commands={commands}
+            servers={servers}
+            shortcuts={SHORTCUTS.map((k) => ({ keys: k.keys, label: t(`shortcut.${k.id}`) }))}
+            onOpenServer={(s) => { location.hash = serverHref(s.id); }}
+          />
+          <div role="status" aria-live="polite" aria-atomic="true" className="sr-only">{message}</div>
+          <Separator className="mb-4" />
+          {!online && <OfflineBanner />}
+          {workerError && !route && <SearchFallbackBanner error={workerError} />}
 
-        <Filters q={q} setQ={setQ} selected={selected} setSelected={setSelected} sort={sort} setSort={setSort} />
-
-        <Tabs defaultValue="grid" className="w-full">
-          <TabsList>
-            <TabsTrigger value="grid">Grid</TabsTrigger>
-            <TabsTrigger value="table">Table</TabsTrigger>
-          </TabsList>
-          <TabsContent value="grid" className="mt-4">
-            <AnimatePresence>
-              <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-                {filtered.map((s) => (
-                  <ServerCard key={s.id} s={s} onCopy={(text) => {
-                    navigator.clipboard.writeText(text);
-                    // eslint-disable-next-line no-undef
-                    if (window) {
-                      const ev = new CustomEvent('copied');
-                      window.dispatchEvent(ev);
-                    }
-                    
-                    toast({ title: "Copied", description: s.url });
-                  }} onPing={quickPing} />
-                ))}
+          <EditServerDialog server={editing} servers={servers} groups={groups} onClose={() => setEditing(null)} onSave={updateServer} />
+          <ReportDialog server={reporting} shared={community.shared} onClose={() => setReporting(null)} onReport={reportServer} />
+
+          {route ? (
+            detail ? (
+              <ServerDetail
+                s={detail}
+                servers={servers}
+                samples={history[detail.id]}
+                pinging={checking.has(detail.id)}
+                groupNames={groupNames}
+                clients={clients}
+                community={community.of(detail)}
+                onPreferClient={prefer}
+                onBack={home}
+                onCopy={copyAddress}
+                onPing={quickPing}
+                onEdit={setEditing}
+                onToggleFavorite={toggleFavorite}
+                onVote={voteServer}
+                onReport={setReporting}
+              >
+                <StatusSummary samples={history[detail.id]} checking={checking.has(detail.id)} />
+                <StatusDetails status={statuses[detail.id]} />
+              </ServerDetail>
+            ) : (
+              <div className="py-12 text-center">
+                <p className="mb-4 text-muted-foreground">{loaded ? t("server.notFound") : t("server.loading")}</p>
+                <Button variant="outline" onClick={home}>{t("detail.back")}</Button>
+              </div>
+            )
+          ) : (
+            <>
+              <div className="flex flex-wrap items-center gap-3 mb-4">
+                <AddServerDialog servers={servers} groups={groups} onAdd={addServer} {...dialogProps("add")} />
+                <ImportExport servers={servers} filtered={filtered} groups={groups} onImport={applyImport} importDialog={dialogProps("import")} exportDialog={dialogProps("export")} />
+                {monitor.progress ? (
+                  <div className="flex items-center gap-2 text-sm">
+                    <Activity className="h-4 w-4 animate-pulse" />
+                    <span>{t("checkAll.progress", { done: monitor.progress.done, total: monitor.progress.total })}</span>
+                    <Button variant="ghost" size="sm" onClick={monitor.cancel}><X className="h-4 w-4 mr-1" />{t("checkAll.cancel")}</Button>
+                  </div>
+                ) : (
+                  <Button variant="outline" onClick={checkAllServers}>
+                    <Activity className="h-4 w-4 mr-2" />{t("checkAll.button")}
+                  </Button>
+                )}
+                <DuplicatesDialog duplicates={duplicates} onMerge={mergeDuplicates} {...dialogProps("duplicates")} />
+                <ClientsDialog clients={clients} onChange={setClients} {...dialogProps("clients")} />
+                <NotifyToggle />
+                <FeedsDialog subs={feeds.subs} refreshing={feeds.refreshing} onAdd={feeds.add} onRemove={unsubscribe} onToggle={feeds.toggle} onRefresh={feeds.refresh} {...dialogProps("feeds")} />
+                {deletedSeedIds.length > 0 && (
+                  <Button variant="ghost" onClick={restoreHiddenSeeds}>
+                    <RotateCcw className="h-4 w-4 mr-2" />{t("view.restoreHidden", { count: deletedSeedIds.length })}
+                  </Button>
+                )}
               </div>
-            </AnimatePresence>
-          </TabsContent>
-          <TabsContent value="table" className="mt-4">
-            <div className="overflow-x-auto">
-              <table className="w-full text-sm">
-                <thead>
-                  <tr className="text-left border-b">
-                    <th className="py-2 pr-2">Name</th>
-                    <th className="py-2 pr-2">Address</th>
-                    <th className="py-2 pr-2">Tags</th>
-                    <th className="py-2 pr-2">Source</th>
-                    <th className="py-2 pr-2">Actions</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {filtered.map((s) => (
-                    <tr key={s.id} className="border-b last:border-0">
-                      <td className="py-2 pr-2">{s.name}</td>
-                      <td className="py-2 pr-2"><code className="break-words">{s.url}</code></td>
-                      <td className="py-2 pr-2">{s.tags?.join(", ")}</td>
-                      <td className="py-2 pr-2 text-muted-foreground">{s.source || "community"}</td>
-                      <td className="py-2 pr-2">
-                        <div className="flex items-center gap-2">
-                          <Button size="sm" variant="outline" onClick={() => { navigator.clipboard.writeText(s.url); toast({ title: "Copied", description: s.url }); }}><Copy className="h-3 w-3 mr-1"/>Copy</Button>
-                          <Button size="sm" variant="outline" onClick={() => quickPing(s)} disabled={pingingId === s.id}>
-                            {pingingId === s.id ? <WifiOff className="h-3 w-3 mr-1 animate-pulse"/> : <Wifi className="h-3 w-3 mr-1"/>}
-                            Check
-                          </Button>
-                        </div>
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          </TabsContent>
-        </Tabs>
 
-        <FooterNote />
-      </div>
-    </ToastProvider>
+              <Filters q={q} setQ={setQ} searchRef={searchRef} onSearchExit={() => filtered[0] && serverFocus.focus(filtered[0].id)} tagFilter={{ tags, excludeTags, tagMode }} setTagFilter={setTagFilter} sort={sort} setSort={setSort} statusFilter={statusFilter} setStatusFilter={setStatusFilter} />
+
+              <Tabs value={view} onValueChange={setView} className="w-full">
+                <div className="flex flex-wrap items-center gap-2">
+                  <TabsList>
+                    <TabsTrigger value="grid">{t("view.grid")}</TabsTrigger>
+                    <TabsTrigger value="table">{t("view.table")}</TabsTrigger>
+                  </TabsList>
+                  <GroupSelect groups={groups} value={group} onChange={setGroup} />
+                  <GroupsDialog groups={groups} onChange={saveGroups} />
+                </div>
+                <TabsContent value="grid" className="mt-4">
+                  {large ? (
+                    <div data-server-list>
+                      <VirtualRows
+                        keys={gridKeys}
+                        scrollToKey={serverFocus.activeIndex >= 0 ? gridKeys[Math.floor(serverFocus.activeIndex / columns)] : null}
+                        estimate={GRID_ROW_ESTIMATE}
+                        renderSpacer={(height) => <div aria-hidden style={{ height }} />}
+                        renderRow={(i, measure) => (
+                          <div key={gridRows[i][0].id} ref={measure} className="grid gap-4 pb-4 sm:grid-cols-2 lg:grid-cols-3">
+                            {gridRows[i].map(renderCard)}
+                          </div>
+                        )}
+                      />
+                    </div>
+                  ) : (
+                    <AnimatePresence>
+                      <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3" data-server-list>
+                        {filtered.map(renderCard)}
+                      </div>
+                    </AnimatePresence>
+                  )}
+                </TabsContent>
+                <TabsContent value="table" className="mt-4">
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm" aria-rowcount={filtered.length + 1}>
+                      <thead>
+                        <tr className="text-left border-b" aria-rowindex={1}>
+                          <SortHeader sortKey="favorites" sort={sort} onSort={setSort}><span className="sr-only">{t("table.favorite")}</span></SortHeader>
+                          <th className="py-2 pr-2"><span className="sr-only">{t("table.status")}</span></th>
+                          <SortHeader sortKey="name" sort={sort} onSort={setSort}>{t("table.name")}</SortHeader>
+                          <th className="py-2 pr-2">{t("table.address")}</th>
+                          <th className="py-2 pr-2">{t("table.tags")}</th>
+                          <SortHeader sortKey="source" sort={sort} onSort={setSort}>{t("table.source")}</SortHeader>
+                          <SortHeader sortKey="votes" sort={sort} onSort={setSort}>{t("table.votes")}</SortHeader>
+                          <SortHeader sortKey="ping" sort={sort} onSort={setSort}>{t("table.status")}</SortHeader>
+                          <SortHeader sortKey="uptime" sort={sort} onSort={setSort}>{t("table.lastChecked")}</SortHeader>
+                          <th className="py-2 pr-2">{t("table.actions")}</th>
+                        </tr>
+                      </thead>
+                      <tbody data-server-list>
+                        {large ? (
+                          <VirtualRows
+                            keys={filteredIds}
+                            scrollToKey={serverFocus.activeId}
+                            estimate={TABLE_ROW_ESTIMATE}
+                            renderSpacer={(height) => <tr aria-hidden><td colSpan={TABLE_COLUMNS} className="p-0" style={{ height }} /></tr>}
+                            renderRow={(i, measure) => renderRow(filtered[i], i, measure)}
+                          />
+                        ) : filtered.map((s, i) => renderRow(s, i))}
+                      </tbody>
+                    </table>
+                  </div>
+                </TabsContent>
+              </Tabs>
+            </>
+          )}
+
+          <FooterNote />
+        </div>
+      </ToastProvider>
+    </I18nContext.Provider>
   );
 }
 
@@ -0,0 +1,85 @@
+import React, { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Gamepad2, Plus, RotateCcw, Trash2 } from "lucide-react";
+import { DEFAULT_CLIENTS, isValidClientUrl } from "@/lib/launch";
+import { CLIENT_VERSIONS } from "@/data/servers";
+import { useT } from "@/lib/i18n";
+
+/**
+ * Edit the web clients "Play" can open and pick the preferred one (see lib/launch for placeholders).
+ */
+export default function ClientsDialog({ clients, onChange, open: openProp, onOpenChange }) {
+  // Controlled when the page opens it (command palette), self-contained otherwise
+  const t = useT();
+  const [ownOpen, setOwnOpen] = useState(false);
+  const open = openProp ?? ownOpen;
+  const setOpen = onOpenChange ?? setOwnOpen;
+  const [draft, setDraft] = useState(clients);
+  useEffect(() => { if (open) setDraft(clients); }, [open, clients]);
+
+  const update = (id, patch) => setDraft((d) => ({ ...d, targets: d.targets.map((c) => (c.id === id ? { ...c, ...patch } : c)) }));
+  const remove = (id) => setDraft((d) => {
+    const targets = d.targets.filter((c) => c.id !== id);
+    return { targets, preferred: d.preferred === id ? targets[0]?.id : d.preferred };
+  });
+  const valid = draft.targets.length > 0 && draft.targets.every((c) => c.name.trim() && isValidClientUrl(c.template.trim()));
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline"><Gamepad2 className="h-4 w-4 mr-2" />{t("clients.button")}</Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-2xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{t("clients.title")}</DialogTitle>
+          <DialogDescription>
+            {t("clients.description")} <code>{"{url}"}</code> ({t("clients.placeholderUrl")}), <code>{"{host}"}</code> ({t("clients.placeholderHost")}),
+            {" "}<code>{"{name}"}</code> ({t("clients.placeholderName")}); {t("clients.forExample")} <code>?server={"{url}"}</code>.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="grid gap-3">
+          {draft.targets.map((c) => (
+            <div key={c.id} className="grid gap-2 rounded-md border p-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <label className="inline-flex items-center gap-1 text-xs">
+                  <input type="radio" name="preferred-client" checked={draft.preferred === c.id} onChange={() => setDraft((d) => ({ ...d, preferred: c.id }))} />
+                  {t("clients.preferred")}
+                </label>
+                <Input className="h-8 flex-1" value={c.name} onChange={(e) => update(c.id, { name: e.target.value })} aria-label={t("clients.name")} />
+                <Select value={c.version} onValueChange={(v) => update(c.id, { version: v })}>
+                  <SelectTrigger className="h-8 w-28" aria-label={t("clients.version")}><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    {CLIENT_VERSIONS.map((v) => <SelectItem key={v} value={v}>{v}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+                <Button size="icon" variant="outline" className="h-8 w-8" aria-label={t("clients.remove", { name: c.name })} disabled={draft.targets.length === 1} onClick={() => remove(c.id)}>
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+              <Input className="font-mono text-xs" value={c.template} onChange={(e) => update(c.id, { template: e.target.value })} aria-label={t("clients.template")} />
+              {!isValidClientUrl(c.template.trim()) && <p className="text-xs text-red-600 dark:text-red-400">{t("clients.invalidTemplate")}</p>}
+            </div>
+          ))}
+          <div className="flex flex-wrap gap-2">
+            <Button variant="secondary" onClick={() => setDraft((d) => ({
+              ...d,
+              targets: [...d.targets, { id: `client-${Date.now()}`, name: t("clients.selfHosted"), version: "1.8.8", template: `${location.origin}/eaglercraftx/?server={url}` }],
+            }))}><Plus className="h-4 w-4 mr-2" />{t("clients.add")}</Button>
+            <Button variant="ghost" onClick={() => setDraft({ targets: DEFAULT_CLIENTS, preferred: DEFAULT_CLIENTS[0].id })}>
+              <RotateCcw className="h-4 w-4 mr-2" />{t("clients.reset")}
+            </Button>
+          </div>
+        </div>
+        <DialogFooter>
+          <Button disabled={!valid} onClick={() => {
+            onChange({ ...draft, targets: draft.targets.map((c) => ({ ...c, name: c.name.trim(), template: c.template.trim() })) });
+            setOpen(false);
+          }}>{t("form.save")}</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,157 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Server } from "lucide-react";
+import { useT } from "@/lib/i18n";
+
+/**
+ * Ctrl+K palette: runs any page action or jumps to a server.
+ *
+ * The input is an ARIA combobox driving a listbox through aria-activedescendant, so focus never
+ * leaves the input while arrowing through results. A chosen command runs after the dialog has
+ * closed and handed focus back, so commands that move focus (search, a server) keep it.
+ */
+
+const SERVER_RESULTS = 8;
+
+/**
+ * @typedef {Object} PaletteCommand
+ * @property {string} id
+ * @property {string} label
+ * @property {string} group - Heading it's listed under
+ * @property {string=} keys - Shortcut shown alongside
+ * @property {() => void} run
+ */
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {(open: boolean) => void} props.onOpenChange
+ * @param {PaletteCommand[]} props.commands
+ * @param {import("@/data/servers").ServerItem[]} props.servers
+ * @param {(s: import("@/data/servers").ServerItem) => void} props.onOpenServer
+ * @param {{ keys: string, label: string }[]} props.shortcuts - Listed in the footer
+ */
+export default function CommandPalette({ open, onOpenChange, commands, servers, onOpenServer, shortcuts }) {
+  const [text, setText] = useState("");
+  const [active, setActive] = useState(0);
+  const pending = useRef(null);
+  const listRef = useRef(null);
+  const t = useT();
+
+  useEffect(() => {
+    if (open) {
+      setText("");
+      setActive(0);
+    }
+  }, [open]);
+
+  const items = useMemo(() => {
+    const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+    const hit = (label) => words.every((w) => label.toLowerCase().includes(w));
+    const found = commands.filter((c) => hit(`${c.group} ${c.label}`));
+    if (words.length) {
+      let n = 0;
+      for (const s of servers) {
+        if (n === SERVER_RESULTS) break;
+        if (!hit(`${s.name} ${s.url}`)) continue;
+        found.push({ id: `server:${s.id}`, label: s.name, detail: s.url, group: t("palette.goTo"), run: () => onOpenServer(s) });
+        n++;
+      }
+    }
+    return found;
+  }, [text, commands, servers, onOpenServer, t]);
+
+  useEffect(() => { setActive((i) => Math.min(i, Math.max(0, items.length - 1))); }, [items]);
+  useEffect(() => {
+    listRef.current?.querySelector(`[data-index="${active}"]`)?.scrollIntoView({ block: "nearest" });
+  }, [active]);
+
+  function choose(item) {
+    if (!item) return;
+    pending.current = item.run;
+    onOpenChange(false);
+  }
+
+  function onKeyDown(e) {
+    const last = items.length - 1;
+    if (e.key === "ArrowDown") setActive((i) => (i >= last ? 0 : i + 1));
+    else if (e.key === "ArrowUp") setActive((i) => (i <= 0 ? last : i - 1));
+    else if (e.key === "Home" && e.ctrlKey) setActive(0);
+    else if (e.key === "End" && e.ctrlKey) setActive(last);
+    else if (e.key === "Enter") choose(items[active]);
+    else return;
+    e.preventDefault();
+  }
+
+  // Items arrive grouped; render a heading wherever the group changes
+  const groups = [];
+  items.forEach((item, index) => {
+    if (groups[groups.length - 1]?.name !== item.group) groups.push({ name: item.group, items: [] });
+    groups[groups.length - 1].items.push({ item, index });
+  });
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent
+        className="max-w-lg gap-2 p-0"
+        onCloseAutoFocus={(e) => {
+          const run = pending.current;
+          pending.current = null;
+          if (!run) return;
+          e.preventDefault();
+          run();
+        }}
+      >
+        <DialogHeader className="px-4 pt-4">
+          <DialogTitle>{t("palette.title")}</DialogTitle>
+          <DialogDescription className="sr-only">{t("palette.description")}</DialogDescription>
+        </DialogHeader>
+        <div className="px-4">
+          <Input
+            autoFocus
+            value={text}
+            onChange={(e) => { setText(e.target.value); setActive(0); }}
+            onKeyDown={onKeyDown}
+            placeholder={t("palette.placeholder")}
+            role="combobox"
+            aria-expanded="true"
+            aria-controls="command-palette-list"
+            aria-activedescendant={items.length ? `command-palette-item-${active}` : undefined}
+            aria-autocomplete="list"
+          />
+        </div>
+        <div ref={listRef} id="command-palette-list" role="listbox" aria-label={t("palette.results")} className="max-h-80 overflow-y-auto px-2">
+          {groups.map((g) => (
+            <div key={g.name} role="group" aria-label={g.name} className="py-1">
+              <div className="px-2 py-1 text-xs font-medium text-muted-foreground" aria-hidden>{g.name}</div>
+              {g.items.map(({ item, index }) => (
+                <div
+                  key={item.id}
+                  id={`command-palette-item-${index}`}
+                  data-index={index}
+                  role="option"
+                  aria-selected={index === active}
+                  className={`flex cursor-pointer items-center gap-2 rounded-md px-2 py-1.5 text-sm ${index === active ? "bg-accent text-accent-foreground" : ""}`}
+                  onMouseMove={() => setActive(index)}
+                  onClick={() => choose(item)}
+                >
+                  {item.detail && <Server className="h-4 w-4 shrink-0 text-muted-foreground" />}
+                  <span className="truncate">{item.label}</span>
+                  {item.detail && <code className="ml-auto truncate text-xs text-muted-foreground">{item.detail}</code>}
+                  {item.keys && <kbd className="ml-auto rounded border px-1.5 text-xs text-muted-foreground">{item.keys}</kbd>}
+                </div>
+              ))}
+            </div>
+          ))}
+          {!items.length && <p className="px-2 py-6 text-center text-sm text-muted-foreground">{t("palette.noMatch", { text })}</p>}
+        </div>
+        <p className="border-t px-4 py-2 text-xs text-muted-foreground">
+          {shortcuts.map((s, i) => (
+            <span key={s.keys}>{i > 0 && " · "}<kbd className="font-mono">{s.keys}</kbd> {s.label}</span>
+          ))}
+        </p>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,79 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Combine } from "lucide-react";
+import { mergeServers } from "@/lib/duplicates";
+import { useT } from "@/lib/i18n";
+
+/**
+ * Review entries that point at the same endpoint and merge each set into one.
+ * The chosen primary keeps its id, name and URL; tags, notes and groups are combined and the
+ * highest vote count is kept (see mergeServers).
+ */
+
+const groupKey = (group) => group.map((s) => s.id).join("|");
+
+export default function DuplicatesDialog({ duplicates, onMerge, open: openProp, onOpenChange }) {
+  // Controlled when the page opens it (command palette), self-contained otherwise
+  const [ownOpen, setOwnOpen] = useState(false);
+  const open = openProp ?? ownOpen;
+  const setOpen = onOpenChange ?? setOwnOpen;
+  const [primaries, setPrimaries] = useState({});
+  const t = useT();
+
+  /** @returns {[import("@/data/servers").ServerItem, import("@/data/servers").ServerItem[]]} */
+  function split(group) {
+    const id = primaries[groupKey(group)];
+    const primary = group.find((s) => s.id === id) || group[0];
+    return [primary, group.filter((s) => s !== primary)];
+  }
+
+  if (!duplicates.length) return null;
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline"><Combine className="h-4 w-4 mr-2" />{t("duplicates.button", { count: duplicates.length })}</Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-2xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{t("duplicates.title")}</DialogTitle>
+          <DialogDescription>{t("duplicates.description")}</DialogDescription>
+        </DialogHeader>
+        <div className="grid gap-3 text-sm">
+          {duplicates.map((group) => {
+            const key = groupKey(group);
+            const [primary, others] = split(group);
+            const merged = mergeServers(primary, others);
+            return (
+              <fieldset key={key} className="rounded-md border p-2">
+                <legend className="px-1 text-xs text-muted-foreground">{merged.url}</legend>
+                <div className="grid gap-1">
+                  {group.map((s) => (
+                    <label key={s.id} className="flex items-center gap-2">
+                      <input type="radio" name={key} checked={s === primary} onChange={() => setPrimaries((prev) => ({ ...prev, [key]: s.id }))} />
+                      <span className="font-medium">{s.name}</span>
+                      <Badge variant="secondary">{s.source || t("detail.community")}</Badge>
+                      {s.url !== merged.url && <code className="text-xs text-muted-foreground">{s.url}</code>}
+                    </label>
+                  ))}
+                </div>
+                <div className="mt-2 flex flex-wrap items-center justify-between gap-2 text-xs text-muted-foreground">
+                  <span>
+                    {t("duplicates.result", { tags: merged.tags.map(t.tag).join(", ") || t("duplicates.noTags") })}
+                    {merged.votes ? ` · ${t("duplicates.votes", { count: merged.votes })}` : ""}
+                    {merged.notes ? ` · ${t("duplicates.notes")}` : ""}
+                  </span>
+                  <Button size="sm" variant="secondary" onClick={() => onMerge([[primary, others]])}>{t("duplicates.merge")}</Button>
+                </div>
+              </fieldset>
+            );
+          })}
+        </div>
+        <DialogFooter>
+          <Button onClick={() => { onMerge(duplicates.map(split)); setOpen(false); }}>{t("duplicates.mergeAll")}</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,128 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { useToast } from "@/components/ui/use-toast";
+import { Copy, Download, Link as LinkIcon } from "lucide-react";
+import { EXPORT_FORMATS, downloadText, encodeShare, exportServers, shareUrl } from "@/lib/exporter";
+import { useT } from "@/lib/i18n";
+
+/**
+ * Export dialog: pick a target format and which servers go in it
+ * (everything, the current filtered view, or favorites), then untick individual entries if needed.
+ */
+
+/** Labels are `export.scope.<scope>` */
+const SCOPES = ["filtered", "favorites", "all"];
+
+export default function ExportDialog({ servers, filtered, groups, open: openProp, onOpenChange }) {
+  // Controlled when the page opens it (command palette), self-contained otherwise
+  const [ownOpen, setOwnOpen] = useState(false);
+  const open = openProp ?? ownOpen;
+  const setOpen = onOpenChange ?? setOwnOpen;
+  const [format, setFormat] = useState("directory");
+  const [scope, setScope] = useState("filtered");
+  const [excluded, setExcluded] = useState(() => new Set());
+  const [link, setLink] = useState("");
+  const { toast } = useToast();
+  const t = useT();
+
+  const inScope = useMemo(() => {
+    if (scope === "favorites") return servers.filter((s) => s.favorite);
+    if (scope === "filtered") return filtered;
+    return servers;
+  }, [scope, servers, filtered]);
+  const chosen = inScope.filter((s) => !excluded.has(s.id));
+
+  useEffect(() => { setExcluded(new Set()); setLink(""); }, [scope, open]);
+  useEffect(() => { setLink(""); }, [format, excluded]);
+
+  /** Clipboard access can be refused (permissions, insecure context); say so instead of failing silently */
+  async function copy(text, what, fallback) {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast({ title: t("copy.done"), description: what });
+    } catch (err) {
+      toast({ title: t("copy.failed"), description: `${fallback} (${err?.message || err})`, variant: "destructive" });
+    }
+  }
+
+  async function createLink() {
+    let url;
+    try {
+      url = shareUrl(await encodeShare(chosen));
+    } catch (err) {
+      return toast({ title: t("export.linkFailed"), description: err?.message || String(err), variant: "destructive" });
+    }
+    // Shown before copying, so it can still be copied by hand if the clipboard refuses
+    setLink(url);
+    copy(url, t("export.linkTo", { count: chosen.length }), t("export.copyLinkYourself"));
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline"><Download className="h-4 w-4 mr-2" />{t("export.button")}</Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-2xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{t("export.title")}</DialogTitle>
+          <DialogDescription>{t("export.description")}</DialogDescription>
+        </DialogHeader>
+        <div className="grid gap-3 sm:grid-cols-2">
+          <Select value={format} onValueChange={setFormat}>
+            <SelectTrigger><SelectValue /></SelectTrigger>
+            <SelectContent>
+              {Object.keys(EXPORT_FORMATS).map((value) => <SelectItem key={value} value={value}>{t(`export.format.${value}`)}</SelectItem>)}
+              <SelectItem value="share">{t("export.format.share")}</SelectItem>
+            </SelectContent>
+          </Select>
+          <Select value={scope} onValueChange={setScope}>
+            <SelectTrigger><SelectValue /></SelectTrigger>
+            <SelectContent>
+              {SCOPES.map((value) => <SelectItem key={value} value={value}>{t(`export.scope.${value}`)} ({value === "filtered" ? filtered.length : value === "favorites" ? servers.filter((s) => s.favorite).length : servers.length})</SelectItem>)}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="max-h-64 overflow-y-auto rounded-md border p-2 grid gap-1">
+          {inScope.length === 0 && <p className="text-sm text-muted-foreground">{t("export.empty")}</p>}
+          {inScope.map((s) => (
+            <label key={s.id} className="inline-flex items-center gap-2 text-sm">
+              <Checkbox checked={!excluded.has(s.id)} onCheckedChange={(c) => setExcluded((prev) => {
+                const next = new Set(prev);
+                if (c) next.delete(s.id); else next.add(s.id);
+                return next;
+              })} />
+              <span className="truncate">{s.name}</span>
+              <code className="text-xs text-muted-foreground truncate">{s.url}</code>
+            </label>
+          ))}
+        </div>
+        {link && (
+          <div className="flex items-center gap-2">
+            <Input readOnly value={link} onFocus={(e) => e.target.select()} />
+            <Button size="icon" variant="outline" aria-label={t("export.copyLink")} onClick={() => copy(link, t("export.format.share"), t("export.copyLinkYourself"))}><Copy className="h-4 w-4" /></Button>
+          </div>
+        )}
+        <DialogFooter className="gap-2">
+          <span className="text-xs text-muted-foreground mr-auto self-center">{t("export.selected", { count: chosen.length })}</span>
+          {format === "share" ? (
+            <Button disabled={!chosen.length} onClick={createLink}><LinkIcon className="h-4 w-4 mr-2" />{t("export.createLink")}</Button>
+          ) : (
+            <>
+              <Button variant="outline" disabled={!chosen.length} onClick={() => copy(exportServers(format, chosen, groups), t(`export.format.${format}`), t("export.useDownload"))}>
+                <Copy className="h-4 w-4 mr-2" />{t("export.copy")}
+              </Button>
+              <Button disabled={!chosen.length} onClick={() => {
+                const { ext, mime } = EXPORT_FORMATS[format];
+                downloadText(exportServers(format, chosen, groups), `eaglercraft-servers${format === "client" ? "-client" : ""}.${ext}`, mime);
+              }}><Download className="h-4 w-4 mr-2" />{t("export.download")}</Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
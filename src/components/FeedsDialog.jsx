@@ -0,0 +1,70 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Plus, RefreshCw, Rss, Trash2 } from "lucide-react";
+import { useT } from "@/lib/i18n";
+
+/**
+ * Manage upstream feed subscriptions (see lib/feeds for the feed schema).
+ */
+export default function FeedsDialog({ subs, refreshing, onAdd, onRemove, onToggle, onRefresh, open: openProp, onOpenChange }) {
+  // Controlled when the page opens it (command palette), self-contained otherwise
+  const t = useT();
+  const [ownOpen, setOwnOpen] = useState(false);
+  const open = openProp ?? ownOpen;
+  const setOpen = onOpenChange ?? setOwnOpen;
+  const [url, setUrl] = useState("");
+  const [label, setLabel] = useState("");
+  let validUrl = false;
+  try { validUrl = !!url.trim() && !!new URL(url.trim(), location.href); } catch {}
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline"><Rss className="h-4 w-4 mr-2" />{subs.length ? t("feeds.buttonCount", { count: subs.length }) : t("feeds.button")}</Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>{t("feeds.title")}</DialogTitle>
+          <DialogDescription>{t("feeds.description")}</DialogDescription>
+        </DialogHeader>
+        <div className="grid gap-2">
+          {subs.length === 0 && <p className="text-sm text-muted-foreground">{t("feeds.empty")}</p>}
+          {subs.map((sub) => (
+            <div key={sub.id} className="flex items-start gap-2 rounded-md border p-2">
+              <Checkbox className="mt-1" checked={sub.enabled} onCheckedChange={() => onToggle(sub.id)} aria-label={t("feeds.enable", { source: sub.source })} />
+              <div className="min-w-0 flex-1 text-sm">
+                <div className="font-medium">{sub.source}</div>
+                <code className="block truncate text-xs text-muted-foreground" title={sub.url}>{sub.url}</code>
+                <div className="text-xs text-muted-foreground">
+                  {sub.lastFetched ? t("feeds.updated", { time: new Date(sub.lastFetched).toLocaleString(t.locale) }) : t("feeds.neverFetched")}
+                  {sub.cache && ` · ${t("feeds.servers", { count: sub.cache.length })}`}
+                </div>
+                {sub.lastError && (
+                  <div className="text-xs text-red-600 dark:text-red-400">
+                    {sub.lastError}{sub.cache && ` ${t("feeds.usingCache")}`}
+                  </div>
+                )}
+              </div>
+              <Button size="icon" variant="outline" aria-label={t("feeds.refresh", { source: sub.source })} disabled={refreshing || !sub.enabled} onClick={() => onRefresh([sub.id])}>
+                <RefreshCw className={refreshing ? "h-4 w-4 animate-spin" : "h-4 w-4"} />
+              </Button>
+              <Button size="icon" variant="outline" aria-label={t("feeds.remove", { source: sub.source })} onClick={() => onRemove(sub)}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+          <div className="grid gap-2 sm:grid-cols-[2fr_1fr_auto]">
+            <Input placeholder="https://example.com/servers.json" value={url} onChange={(e) => setUrl(e.target.value)} />
+            <Input placeholder={t("feeds.label")} value={label} onChange={(e) => setLabel(e.target.value)} />
+            <Button disabled={!validUrl} onClick={() => { onAdd(url, label); setUrl(""); setLabel(""); }}>
+              <Plus className="h-4 w-4 mr-1" />{t("feeds.add")}
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,207 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Textarea } from "@/components/ui/textarea";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Upload } from "lucide-react";
+import { applyImport, diffImport, parseImport } from "@/lib/importer";
+import { useT } from "@/lib/i18n";
+
+/**
+ * Import wizard: pick a file or paste text, preview the diff, resolve conflicts, apply.
+ * Nothing is written until "Apply"; the caller gets the full next list and can offer undo.
+ */
+
+/** Per changed server; labels are `import.choice.<choice>` */
+const CHOICES = ["mine", "theirs", "merge"];
+
+function formatValue(v) {
+  if (v == null || v === "") return "—";
+  if (Array.isArray(v)) return v.length ? v.join(", ") : "—";
+  return String(v);
+}
+
+/**
+ * @param {Object} props
+ * @param {string=} props.initialText - Previewed as soon as the dialog opens (share links)
+ * @param {string=} props.source - Source label for added servers whose entries don't name one
+ */
+export default function ImportWizard({ open, onOpenChange, servers, initialText = "", source, onApply }) {
+  const fileRef = useRef(null);
+  const [text, setText] = useState("");
+  const [error, setError] = useState("");
+  const [parsed, setParsed] = useState(null);
+  const [choices, setChoices] = useState({});
+  const [skipAdded, setSkipAdded] = useState(() => new Set());
+  const t = useT();
+
+  useEffect(() => {
+    if (!open) return;
+    setText(initialText); setError(""); setParsed(null); setChoices({}); setSkipAdded(new Set());
+    if (initialText) preview(initialText);
+  }, [open, initialText]);
+
+  const diff = useMemo(() => (parsed ? diffImport(servers, parsed.entries, { source }) : null), [parsed, servers, source]);
+
+  function preview(input) {
+    try {
+      setParsed(parseImport(input));
+      setError("");
+    } catch (err) {
+      setParsed(null);
+      setError(err.message || String(err));
+    }
+  }
+
+  function setAll(choice) {
+    setChoices(Object.fromEntries(diff.changed.map((c) => [c.mine.id, choice])));
+  }
+
+  const addedCount = diff ? diff.added.filter((s) => !skipAdded.has(s.url)).length : 0;
+  const changedCount = diff ? diff.changed.filter((c) => (choices[c.mine.id] || "theirs") !== "mine").length : 0;
+  const canApply = addedCount > 0 || changedCount > 0;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{t("import.title")}</DialogTitle>
+          <DialogDescription>{t("import.description")}</DialogDescription>
+        </DialogHeader>
+
+        {!diff ? (
+          <div className="grid gap-3">
+            <div className="flex items-center gap-2">
+              <Button variant="outline" onClick={() => fileRef.current?.click()}>
+                <Upload className="h-4 w-4 mr-2" />{t("import.chooseFile")}
+              </Button>
+              <span className="text-xs text-muted-foreground">{t("import.orPaste")}</span>
+            </div>
+            <input ref={fileRef} type="file" accept=".json,.csv,.txt,application/json,text/csv,text/plain" className="hidden" onChange={async (e) => {
+              const f = e.target.files?.[0];
+              if (!f) return;
+              e.target.value = "";
+              let content;
+              try {
+                content = await f.text();
+              } catch (err) {
+                setParsed(null);
+                return setError(t("import.fileUnreadable", { name: f.name, error: err?.message || String(err) }));
+              }
+              setText(content);
+              preview(content);
+            }} />
+            <Textarea rows={8} className="font-mono text-xs" placeholder={"wss://play.example.net\nwss://eagler.example.org"} value={text} onChange={(e) => setText(e.target.value)} />
+            {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+          </div>
+        ) : (
+          <div className="grid gap-4 text-sm">
+            <div className="flex flex-wrap items-center gap-2">
+              <Badge variant="secondary">{t(`import.format.${parsed.format}`)}</Badge>
+              <span>{t("import.summary", { added: diff.added.length, changed: diff.changed.length, unchanged: diff.unchanged.length, invalid: diff.invalid.length })}</span>
+            </div>
+
+            {diff.added.length > 0 && (
+              <section>
+                <h3 className="font-semibold mb-2">{t("import.new")}</h3>
+                <ul className="grid gap-1">
+                  {diff.added.map((s) => (
+                    <li key={s.url}>
+                      <label className="inline-flex items-center gap-2">
+                        <Checkbox checked={!skipAdded.has(s.url)} onCheckedChange={(c) => setSkipAdded((prev) => {
+                          const next = new Set(prev);
+                          if (c) next.delete(s.url); else next.add(s.url);
+                          return next;
+                        })} />
+                        <span>{s.name}</span>
+                        <code className="text-xs text-muted-foreground">{s.url}</code>
+                      </label>
+                      {diff.warnings[s.url] && <div className="ml-6 text-xs text-amber-600 dark:text-amber-400">{diff.warnings[s.url].join(" · ")}</div>}
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+
+            {diff.changed.length > 0 && (
+              <section>
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                  <h3 className="font-semibold">{t("import.changed")}</h3>
+                  <div className="flex gap-1">
+                    {CHOICES.map((value) => (
+                      <Button key={value} size="sm" variant="ghost" onClick={() => setAll(value)}>{t("import.setAll", { choice: t(`import.choice.${value}`) })}</Button>
+                    ))}
+                  </div>
+                </div>
+                <div className="grid gap-3">
+                  {diff.changed.map(({ mine, theirs, fields }) => (
+                    <div key={mine.id} className="rounded-md border p-2">
+                      <div className="flex items-center justify-between gap-2 mb-1">
+                        <span className="font-medium">{mine.name}</span>
+                        {diff.warnings[theirs.url] && <span className="mr-auto text-xs text-amber-600 dark:text-amber-400">{diff.warnings[theirs.url].join(" · ")}</span>}
+                        <Select value={choices[mine.id] || "theirs"} onValueChange={(v) => setChoices((prev) => ({ ...prev, [mine.id]: v }))}>
+                          <SelectTrigger className="w-36"><SelectValue /></SelectTrigger>
+                          <SelectContent>
+                            {CHOICES.map((value) => <SelectItem key={value} value={value}>{t(`import.choice.${value}`)}</SelectItem>)}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                      <table className="w-full text-xs">
+                        <thead>
+                          <tr className="text-left text-muted-foreground">
+                            <th className="pr-2 font-normal">{t("import.field")}</th>
+                            <th className="pr-2 font-normal">{t("import.mine")}</th>
+                            <th className="pr-2 font-normal">{t("import.theirs")}</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {fields.map((f) => (
+                            <tr key={f.field}>
+                              <td className="pr-2 text-muted-foreground">{f.field}</td>
+                              <td className="pr-2 line-through decoration-red-400/60">{formatValue(f.mine)}</td>
+                              <td className="pr-2 text-green-700 dark:text-green-400">{formatValue(f.theirs)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ))}
+                </div>
+              </section>
+            )}
+
+            {diff.invalid.length > 0 && (
+              <section>
+                <h3 className="font-semibold mb-2">{t("import.invalid")}</h3>
+                <ul className="grid gap-1 text-xs">
+                  {diff.invalid.map(({ raw, reason }, i) => (
+                    <li key={i} className="flex gap-2">
+                      <code className="truncate max-w-xs">{typeof raw === "object" ? raw?.url || raw?.name || JSON.stringify(raw) : String(raw)}</code>
+                      <span className="text-red-600 dark:text-red-400">{reason}</span>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+          </div>
+        )}
+
+        <DialogFooter>
+          {diff ? (
+            <>
+              <Button variant="ghost" onClick={() => setParsed(null)}>{t("import.back")}</Button>
+              <Button disabled={!canApply} onClick={() => {
+                onApply(applyImport(servers, diff, choices, skipAdded), parsed.groups, { added: addedCount, changed: changedCount });
+                onOpenChange(false);
+              }}>{t("import.apply")}</Button>
+            </>
+          ) : (
+            <Button disabled={!text.trim()} onClick={() => preview(text)}>{t("import.preview")}</Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { REPORT_NOTE_MAX, REPORT_REASONS, REPORT_WARN_THRESHOLD } from "@/lib/community";
+import { useT } from "@/lib/i18n";
+
+/**
+ * Report a server as broken, offensive or malicious. Open while `server` is set, like the edit
+ * dialog; `onReport` resolves to whether the report went through, and the dialog stays open
+ * (keeping what was typed) when it didn't.
+ */
+export default function ReportDialog({ server, shared, onClose, onReport }) {
+  const t = useT();
+  const [reason, setReason] = useState("broken");
+  const [note, setNote] = useState("");
+  const [sending, setSending] = useState(false);
+  useEffect(() => {
+    if (!server) return;
+    setReason("broken");
+    setNote("");
+  }, [server]);
+
+  async function submit() {
+    setSending(true);
+    const ok = await onReport(server, reason, note.trim());
+    setSending(false);
+    if (ok) onClose();
+  }
+
+  return (
+    <Dialog open={!!server} onOpenChange={(o) => !o && onClose()}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>{t("report.title", { name: server?.name })}</DialogTitle>
+          <DialogDescription>
+            {t(shared ? "report.sharedNote" : "report.localNote")} {t("report.replaces")}
+          </DialogDescription>
+        </DialogHeader>
+        <fieldset className="grid gap-2">
+          <legend className="mb-2 text-sm font-medium">{t("report.reasonLabel")}</legend>
+          {REPORT_REASONS.map((value) => (
+            <label key={value} className="inline-flex items-center gap-2 text-sm">
+              <input type="radio" name="report-reason" value={value} checked={reason === value} onChange={() => setReason(value)} />
+              {t(`report.reasons.${value}`)}
+            </label>
+          ))}
+        </fieldset>
+        <div className="grid gap-1">
+          <Textarea
+            placeholder={t("report.notePlaceholder")}
+            value={note}
+            maxLength={REPORT_NOTE_MAX}
+            onChange={(e) => setNote(e.target.value)}
+            rows={3}
+            aria-label={t("report.noteLabel")}
+          />
+          <p className="text-right text-xs text-muted-foreground">{note.length}/{REPORT_NOTE_MAX}</p>
+        </div>
+        <DialogFooter>
+          <Button variant="ghost" onClick={onClose}>{t("report.cancel")}</Button>
+          <Button variant="destructive" disabled={sending} onClick={submit}>{sending ? t("report.sending") : t("report.submit")}</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+/** Warning shown once a server has REPORT_WARN_THRESHOLD reports; nothing below that */
+export function ReportedBadge({ counts, className }) {
+  const t = useT();
+  if (counts.reports < REPORT_WARN_THRESHOLD) return null;
+  // An API may count reasons this build doesn't know; those show as their code
+  const reasons = Object.entries(counts.reasons)
+    .sort((a, b) => b[1] - a[1])
+    .map(([r, n]) => t("report.reasonCount", { count: n, reason: REPORT_REASONS.includes(r) ? t(`report.short.${r}`) : r }))
+    .join(", ");
+  return <Badge variant="destructive" className={className} title={t("report.badgeHint", { count: counts.reports, reasons })}>{t("report.badge")}</Badge>;
+}
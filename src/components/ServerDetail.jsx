@@ -0,0 +1,153 @@
+import React, { useMemo } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Badge } from "@/components/ui/badge";
+import { ArrowLeft, Copy, ExternalLink, Flag, Gamepad2, Pencil, Star, Wifi, WifiOff } from "lucide-react";
+import Sparkline from "@/components/Sparkline";
+import VoteButtons from "@/components/VoteButtons";
+import { ReportedBadge } from "@/components/ReportDialog";
+import { homepageUrl, parseAddress } from "@/lib/address";
+import { launchUrl, pickClient } from "@/lib/launch";
+import { serverHref } from "@/lib/router";
+import { useT } from "@/lib/i18n";
+
+/**
+ * Full page for one server (`#/server/<id>`): every stored field, the parsed address,
+ * status history and servers that share its tags.
+ * Live status rendering stays with the list views; it's passed in as `children`.
+ */
+
+const RELATED_LIMIT = 6;
+
+function Row({ label, children }) {
+  return (
+    <>
+      <dt className="text-muted-foreground">{label}</dt>
+      <dd className="min-w-0 break-words">{children}</dd>
+    </>
+  );
+}
+
+export default function ServerDetail({ s, servers, samples, pinging, groupNames, clients, community, onPreferClient, onBack, onCopy, onPing, onEdit, onToggleFavorite, onVote, onReport, children }) {
+  const { counts } = community;
+  const t = useT();
+  const { target, compatible } = pickClient(clients.targets, clients.preferred, s);
+  const addr = parseAddress(s.url);
+  const homepage = homepageUrl(s);
+
+  // Most shared tags first, then name in the UI language's order
+  const related = useMemo(() => {
+    const collator = new Intl.Collator(t.locale);
+    return servers
+      .filter((o) => o.id !== s.id)
+      .map((o) => ({ o, shared: (o.tags || []).filter((tag) => s.tags?.includes(tag)).length }))
+      .filter((r) => r.shared > 0)
+      .sort((a, b) => b.shared - a.shared || collator.compare(a.o.name, b.o.name))
+      .slice(0, RELATED_LIMIT);
+  }, [servers, s, t.locale]);
+
+  return (
+    <div className="grid gap-4">
+      <div>
+        <Button variant="ghost" size="sm" onClick={onBack}><ArrowLeft className="h-4 w-4 mr-2" />{t("detail.back")}</Button>
+      </div>
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-2xl flex flex-wrap items-center gap-2">
+            {s.name}
+            <Button size="icon" variant="ghost" className="h-8 w-8" onClick={() => onToggleFavorite(s)} aria-label={s.favorite ? t("detail.unfavorite") : t("detail.favorite")} aria-pressed={!!s.favorite}>
+              <Star className={s.favorite ? "h-5 w-5 fill-yellow-400 text-yellow-500" : "h-5 w-5"} />
+            </Button>
+            {s.removedUpstream && <Badge variant="destructive">{t("detail.removedUpstream")}</Badge>}
+            <ReportedBadge counts={counts} />
+          </CardTitle>
+          {s.short && <CardDescription className="whitespace-pre-line">{s.short}</CardDescription>}
+        </CardHeader>
+        <CardContent className="grid gap-4">
+          <div className="flex flex-wrap items-center gap-2">
+            <Button asChild>
+              <a href={launchUrl(target, s)} target="_blank" rel="noreferrer"><Gamepad2 className="h-4 w-4 mr-2" />{t("detail.play", { client: target.name })}</a>
+            </Button>
+            {clients.targets.length > 1 && (
+              <Select value={clients.preferred} onValueChange={onPreferClient}>
+                <SelectTrigger className="w-48" aria-label={t("detail.preferredClient")}><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  {clients.targets.map((c) => <SelectItem key={c.id} value={c.id}>{c.name} ({c.version})</SelectItem>)}
+                </SelectContent>
+              </Select>
+            )}
+            <Button variant="outline" onClick={() => onCopy(s.url)}><Copy className="h-4 w-4 mr-2" />{t("detail.copy")}</Button>
+            <Button variant="outline" onClick={() => onPing(s)} disabled={pinging}>
+              {pinging ? <WifiOff className="h-4 w-4 mr-2 animate-pulse" /> : <Wifi className="h-4 w-4 mr-2" />}{t("detail.ping")}
+            </Button>
+            <Button variant="outline" onClick={() => onEdit(s)}><Pencil className="h-4 w-4 mr-2" />{t("detail.edit")}</Button>
+            <VoteButtons s={s} {...community} onVote={onVote} />
+            <Button variant="ghost" onClick={() => onReport(s)}><Flag className="h-4 w-4 mr-2" />{t("detail.report")}</Button>
+            {homepage && (
+              <a className="text-sm inline-flex items-center gap-1 text-blue-600 dark:text-blue-400 hover:underline" href={homepage.url} target="_blank" rel="noreferrer">
+                <ExternalLink className="h-3 w-3" />{homepage.guessed ? t("detail.websiteGuessed") : t("detail.website")}
+              </a>
+            )}
+          </div>
+
+          {!compatible && (
+            <p className="text-xs text-amber-600 dark:text-amber-400">{t("detail.incompatible", { versions: s.clientVersions.join(", ") })}</p>
+          )}
+
+          {children}
+
+          <dl className="grid grid-cols-[8rem_1fr] gap-x-4 gap-y-1 text-sm">
+            <Row label={t("detail.address")}><code>{s.url}</code></Row>
+            {addr ? (
+              <>
+                <Row label={t("detail.host")}><code>{addr.host}</code></Row>
+                <Row label={t("detail.port")}>{addr.port}{addr.defaultPort && <span className="text-muted-foreground"> {t("detail.defaultPort", { scheme: addr.scheme })}</span>}</Row>
+                <Row label={t("detail.path")}><code>{addr.path}</code></Row>
+              </>
+            ) : <Row label={t("detail.parsed")}>{t("detail.notWebSocket")}</Row>}
+            <Row label={t("detail.tags")}>{s.tags?.length ? s.tags.map(t.tag).join(", ") : "—"}</Row>
+            <Row label={t("detail.clientVersions")}>{s.clientVersions?.length ? s.clientVersions.join(", ") : t("detail.notListed")}</Row>
+            {s.region && <Row label={t("detail.region")}>{s.region}</Row>}
+            <Row label={t("detail.votes")}>
+              {(s.votes || 0) + counts.up - counts.down}
+              <span className="text-muted-foreground"> ({[s.votes && t("votes.listed", { count: s.votes }), t("votes.breakdown", { up: counts.up, down: counts.down })].filter(Boolean).join(", ")})</span>
+            </Row>
+            {counts.reports > 0 && (
+              <Row label={t("detail.reports")}>
+                {counts.reports}: {Object.entries(counts.reasons).map(([r, n]) => `${n} ${r}`).join(", ")}
+              </Row>
+            )}
+            <Row label={t("detail.source")}>{s.source || t("detail.community")}{s.feedId && ` ${t("detail.feed")}`}{s.community && ` · ${t("detail.addedByYou")}`}</Row>
+            {s.groups?.length > 0 && <Row label={t("detail.groups")}>{s.groups.map((g) => groupNames[g]).filter(Boolean).join(", ")}</Row>}
+            {s.notes && <Row label={t("detail.notes")}><span className="whitespace-pre-line">{s.notes}</span></Row>}
+            <Row label={t("detail.id")}><code className="text-xs">{s.id}</code></Row>
+          </dl>
+
+          <div>
+            <h3 className="text-sm font-medium mb-1">{t("detail.history")}</h3>
+            <Sparkline samples={samples} />
+          </div>
+        </CardContent>
+      </Card>
+
+      {related.length > 0 && (
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-lg">{t("detail.similar")}</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <ul className="grid gap-2 sm:grid-cols-2">
+              {related.map(({ o }) => (
+                <li key={o.id} className="min-w-0">
+                  <a className="font-medium hover:underline" href={serverHref(o.id)}>{o.name}</a>
+                  <div className="truncate text-xs text-muted-foreground">{o.tags.filter((tag) => s.tags.includes(tag)).map(t.tag).join(", ")}</div>
+                </li>
+              ))}
+            </ul>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
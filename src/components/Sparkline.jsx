@@ -0,0 +1,47 @@
+import React from "react";
+import { useT } from "@/lib/i18n";
+
+/**
+ * Latency over the stored checks, oldest on the left.
+ * Failed checks break the line and show as a red tick along the bottom.
+ */
+export default function Sparkline({ samples = [], width = 240, height = 48 }) {
+  const t = useT();
+  const points = samples.filter((p) => p.ok && p.ms != null).map((p) => p.ms);
+  if (samples.length < 2) {
+    return <p className="text-xs text-muted-foreground">{t("detail.historyEmpty")}</p>;
+  }
+  const min = points.length ? Math.min(...points) : 0;
+  const max = points.length ? Math.max(...points) : 0;
+  const pad = 4;
+  const x = (i) => pad + (i * (width - 2 * pad)) / (samples.length - 1);
+  // Higher latency plots higher; a flat line sits mid-height
+  const y = (ms) => (max === min ? height / 2 : height - pad - ((ms - min) * (height - 2 * pad)) / (max - min));
+
+  const segments = [];
+  let current = [];
+  samples.forEach((p, i) => {
+    if (p.ok && p.ms != null) current.push(`${x(i).toFixed(1)},${y(p.ms).toFixed(1)}`);
+    else if (current.length) { segments.push(current); current = []; }
+  });
+  if (current.length) segments.push(current);
+
+  const failed = samples.length - points.length;
+  const label = points.length
+    ? [t("detail.historyRange", { count: samples.length, min, max }), failed && t("detail.historyFailed", { count: failed })].filter(Boolean).join(", ")
+    : t("detail.historyAllFailed", { count: samples.length });
+
+  return (
+    <figure className="grid gap-1">
+      <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} role="img" aria-label={label} className="overflow-visible">
+        {segments.map((seg, i) => (seg.length === 1
+          ? <circle key={i} cx={seg[0].split(",")[0]} cy={seg[0].split(",")[1]} r="1.5" className="fill-green-600 dark:fill-green-400" />
+          : <polyline key={i} points={seg.join(" ")} fill="none" strokeWidth="1.5" className="stroke-green-600 dark:stroke-green-400" />))}
+        {samples.map((p, i) => (!p.ok || p.ms == null) && (
+          <line key={`f${i}`} x1={x(i)} x2={x(i)} y1={height - 4} y2={height} strokeWidth="2" className="stroke-red-500" />
+        ))}
+      </svg>
+      <figcaption className="text-xs text-muted-foreground">{label}</figcaption>
+    </figure>
+  );
+}
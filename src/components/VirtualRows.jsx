@@ -0,0 +1,96 @@
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useReducer, useRef, useState } from "react";
+
+/**
+ * Windowed rendering against the page scroll: only rows near the viewport are mounted, with
+ * spacers standing in for the rest so the scrollbar and anchor positions stay right.
+ *
+ * Row heights are measured as rows render and remembered by key; unmeasured rows use `estimate`.
+ * `renderSpacer(height, position)` lets tables use a `<tr>` and grids a `<div>`; it must return a
+ * DOM element, since the top spacer is also what the window position is measured from.
+ */
+
+const OVERSCAN_PX = 600;
+
+/** First index whose end offset is past `y` */
+function findRow(offsets, y) {
+  let lo = 0;
+  let hi = offsets.length - 2;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (offsets[mid + 1] <= y) lo = mid + 1;
+    else hi = mid;
+  }
+  return Math.max(0, lo);
+}
+
+/**
+ * @param {Object} props
+ * @param {string[]} props.keys - One stable key per row
+ * @param {number} props.estimate - Height guess in px for rows not yet measured
+ * @param {(index: number, measure: (el: Element|null) => void) => React.ReactNode} props.renderRow
+ * @param {(height: number, position: "top"|"bottom") => React.ReactNode} props.renderSpacer
+ * @param {string=} props.scrollToKey - Keyboard focus target: scrolled into range so it mounts
+ */
+export default function VirtualRows({ keys, estimate, renderRow, renderSpacer, scrollToKey }) {
+  const anchor = useRef(null);
+  const sizes = useRef(new Map());
+  // A fresh lookup after every new height, so the offsets below recompute
+  const lookup = () => (key) => sizes.current.get(key);
+  const [heightOf, remeasure] = useReducer(lookup, null, lookup);
+  const [range, setRange] = useState([0, Math.min(keys.length, 20)]);
+
+  const offsets = useMemo(() => {
+    const out = new Float64Array(keys.length + 1);
+    keys.forEach((k, i) => { out[i + 1] = out[i] + (heightOf(k) ?? estimate); });
+    return out;
+  }, [keys, estimate, heightOf]);
+
+  const update = useCallback(() => {
+    if (!anchor.current || !keys.length) return setRange([0, 0]);
+    // The top spacer sits where row 0 starts
+    const top = anchor.current.getBoundingClientRect().top;
+    const from = findRow(offsets, -top - OVERSCAN_PX);
+    const to = Math.min(keys.length, findRow(offsets, -top + window.innerHeight + OVERSCAN_PX) + 1);
+    setRange((r) => (r[0] === from && r[1] === to ? r : [from, to]));
+  }, [offsets, keys.length]);
+
+  useLayoutEffect(update, [update]);
+  // Read by the scroll-to effect, which should only run when the target changes, not on every scroll
+  const view = useRef({ keys, offsets, range });
+  useLayoutEffect(() => { view.current = { keys, offsets, range }; });
+  // Rows already mounted scroll themselves into view when focused
+  useLayoutEffect(() => {
+    const { keys, offsets, range } = view.current;
+    const i = scrollToKey == null ? -1 : keys.indexOf(scrollToKey);
+    if (i < 0 || (i >= range[0] && i < range[1]) || !anchor.current) return;
+    window.scrollTo({ top: window.scrollY + anchor.current.getBoundingClientRect().top + offsets[i] - window.innerHeight / 3 });
+  }, [scrollToKey]);
+  useEffect(() => {
+    window.addEventListener("scroll", update, { passive: true });
+    window.addEventListener("resize", update);
+    return () => {
+      window.removeEventListener("scroll", update);
+      window.removeEventListener("resize", update);
+    };
+  }, [update]);
+
+  const measure = (key) => (el) => {
+    if (!el) return;
+    const h = el.getBoundingClientRect().height;
+    if (h && Math.abs((sizes.current.get(key) ?? estimate) - h) > 0.5) {
+      sizes.current.set(key, h);
+      remeasure();
+    }
+  };
+
+  const [from, to] = [Math.min(range[0], keys.length), Math.min(range[1], keys.length)];
+  const rows = [];
+  for (let i = from; i < to; i++) rows.push(renderRow(i, measure(keys[i])));
+  return (
+    <>
+      {React.cloneElement(renderSpacer(offsets[from], "top"), { ref: anchor })}
+      {rows}
+      {renderSpacer(offsets[keys.length] - offsets[to], "bottom")}
+    </>
+  );
+}
@@ -0,0 +1,35 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { ThumbsDown, ThumbsUp } from "lucide-react";
+import { useT } from "@/lib/i18n";
+
+/**
+ * Upvote/downvote toggles around a server's score: the vote count its list ships with plus
+ * community votes (lib/community). Pressing your current vote again withdraws it. When the
+ * community counts couldn't be loaded the score would be wrong, so it says that instead.
+ * @param {Object} props
+ * @param {import("@/data/servers").ServerItem} props.s
+ * @param {import("@/lib/community").CommunityCounts} props.counts
+ * @param {1|-1|0} props.myVote
+ * @param {boolean=} props.disabled
+ * @param {boolean=} props.unavailable - Counts failed to load
+ * @param {(s: import("@/data/servers").ServerItem, value: 1|-1) => void} props.onVote
+ */
+export default function VoteButtons({ s, counts, myVote, disabled, unavailable, onVote }) {
+  const t = useT();
+  const score = (s.votes || 0) + counts.up - counts.down;
+  const breakdown = [t("votes.breakdown", { up: counts.up, down: counts.down }), s.votes && t("votes.listed", { count: s.votes })].filter(Boolean).join(", ");
+  return (
+    <span className="inline-flex items-center gap-0.5" role="group" aria-label={unavailable ? t("votes.unavailable") : t("votes.count", { count: score })}>
+      <Button size="icon" variant="ghost" className="h-7 w-7" onClick={() => onVote(s, 1)} disabled={disabled} aria-label={t("votes.up")} aria-pressed={myVote === 1}>
+        <ThumbsUp className={myVote === 1 ? "h-4 w-4 fill-green-500 text-green-600" : "h-4 w-4"} />
+      </Button>
+      {unavailable
+        ? <span className="whitespace-nowrap text-xs text-muted-foreground">{t("votes.unavailable")}</span>
+        : <span className="min-w-[2ch] text-center text-xs tabular-nums" title={breakdown}>{score}</span>}
+      <Button size="icon" variant="ghost" className="h-7 w-7" onClick={() => onVote(s, -1)} disabled={disabled} aria-label={t("votes.down")} aria-pressed={myVote === -1}>
+        <ThumbsDown className={myVote === -1 ? "h-4 w-4 fill-red-500 text-red-600" : "h-4 w-4"} />
+      </Button>
+    </span>
+  );
+}
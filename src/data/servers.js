@@ -0,0 +1,50 @@
+/**
+ * Directory data shared by the app and the storage layer: server types, known tags and seed list.
+ */
+import data from "./servers.json";
+
+// ------------------------------
+// Types
+// ------------------------------
+/** @typedef {"PvP"|"Minigames"|"Survival"|"Creative"|"Economy"|"Factions"|"Practice"|"Skywars"|"Bedwars"|"Skyblock"|"Anarchy"|"Other"} GameTag */
+
+/**
+ * @typedef {Object} ServerItem
+ * @property {string} id - Stable id
+ * @property {string} name
+ * @property {string} url - wss:// WebSocket endpoint (or domain that works with wss://)
+ * @property {GameTag[]} tags
+ * @property {string=} short
+ * @property {string=} region
+ * @property {number=} votes
+ * @property {boolean=} community
+ * @property {string=} source
+ * @property {string=} homepage - Website, when it isn't simply https://<host>/
+ * @property {string[]=} clientVersions - Client versions the server accepts (see CLIENT_VERSIONS); empty means unknown
+ * @property {boolean=} favorite - Starred by the user
+ * @property {string=} notes - Private notes, never shown to anyone else
+ * @property {string[]=} groups - Ids of the ServerGroups this server belongs to
+ * @property {string=} feedId - Subscription that supplies this server (see lib/feeds)
+ * @property {boolean=} removedUpstream - Its feed no longer lists it
+ * @property {string[]=} overrides - Feed-owned fields changed locally; feed refreshes leave them alone
+ */
+
+/**
+ * @typedef {Object} ServerGroup
+ * @property {string} id
+ * @property {string} name
+ */
+
+// ------------------------------
+// Seed data (sourced from public directories)
+// ------------------------------
+// Kept in servers.json so the build scripts can validate it and render static pages from it
+// (see scripts/validate-servers.mjs and scripts/build-static.mjs).
+/** @type {ServerItem[]} */
+export const SEED_SERVERS = data.servers;
+
+/** @type {GameTag[]} */
+export const ALL_TAGS = data.tags;
+
+/** Game versions an Eaglercraft client build (and a server's clientVersions) can name */
+export const CLIENT_VERSIONS = data.clientVersions;
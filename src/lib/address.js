@@ -0,0 +1,126 @@
+/**
+ * Server addresses: parse, canonicalise and compare WebSocket endpoints.
+ *
+ * Canonical form is what gets stored: lowercase scheme and host, no default port, no trailing
+ * slash, no fragment. So `wss://Play.Example.net/`, `wss://play.example.net:443` and a bare
+ * `play.example.net` all become `wss://play.example.net`.
+ *
+ * Plain `ws://` is only accepted for local/LAN hosts, and with a warning: a public server must use
+ * wss://, and https pages can't open ws:// sockets except to localhost.
+ */
+
+/**
+ * @typedef {Object} ParsedAddress
+ * @property {"wss"|"ws"} scheme
+ * @property {string} host - Lowercased hostname, no port
+ * @property {number} port - Explicit port, or the scheme's default
+ * @property {boolean} defaultPort - No port in the URL
+ * @property {string} path - "/" when the URL has none
+ */
+
+/**
+ * @param {string} url
+ * @returns {ParsedAddress|null} null when it isn't a ws:// or wss:// URL
+ */
+export function parseAddress(url) {
+  let u;
+  try {
+    u = new URL(String(url).trim());
+  } catch {
+    return null;
+  }
+  if (u.protocol !== "wss:" && u.protocol !== "ws:") return null;
+  const scheme = u.protocol.slice(0, -1);
+  return {
+    scheme,
+    host: u.hostname.toLowerCase(),
+    port: u.port ? Number(u.port) : scheme === "wss" ? 443 : 80,
+    defaultPort: !u.port,
+    path: u.pathname + u.search || "/",
+  };
+}
+
+/** localhost, private IPv4 ranges, IPv6 loopback/ULA and the usual LAN-only suffixes */
+export function isLanHost(host) {
+  const h = host.toLowerCase().replace(/^\[|\]$/g, "");
+  if (h === "localhost" || /\.(localhost|local|lan|home\.arpa|internal)$/.test(h)) return true;
+  if (h === "::1" || /^f[cd][0-9a-f]{2}:/.test(h)) return true;
+  const m = /^(\d+)\.(\d+)\.\d+\.\d+$/.exec(h);
+  if (!m) return false;
+  const [a, b] = [Number(m[1]), Number(m[2])];
+  return a === 127 || a === 10 || (a === 192 && b === 168) || (a === 172 && b >= 16 && b <= 31) || (a === 169 && b === 254);
+}
+
+/**
+ * @typedef {{ ok: true, url: string, warnings: string[] } | { ok: false, reason: string }} NormalizedAddress
+ */
+
+/**
+ * Turn user input into a canonical endpoint.
+ * - no scheme: assumed wss:// (bare hosts are how most lists share addresses)
+ * - http(s)://: rewritten to ws(s):// on the same host, since people paste the website link
+ * - ws://: LAN hosts only
+ * @param {string} input
+ * @returns {NormalizedAddress}
+ */
+export function normalizeAddress(input) {
+  const raw = String(input ?? "").trim();
+  if (!raw) return { ok: false, reason: "Missing address" };
+  const warnings = [];
+  let text = raw;
+  const scheme = /^([a-z][a-z0-9+.-]*):\/\//i.exec(raw)?.[1].toLowerCase();
+  if (!scheme) {
+    text = `wss://${raw}`;
+    warnings.push("No scheme given; assumed wss://");
+  } else if (scheme === "http" || scheme === "https") {
+    text = raw.replace(/^https?/i, scheme === "https" ? "wss" : "ws");
+    warnings.push(`Rewrote ${scheme}:// to ${scheme === "https" ? "wss" : "ws"}://`);
+  } else if (scheme !== "ws" && scheme !== "wss") {
+    return { ok: false, reason: `Unsupported scheme ${scheme}://` };
+  }
+
+  let u;
+  try {
+    u = new URL(text);
+  } catch {
+    return { ok: false, reason: "Malformed address" };
+  }
+  if (!u.hostname) return { ok: false, reason: "Missing host" };
+  if (u.username || u.password) return { ok: false, reason: "Addresses can't contain credentials" };
+  if (u.protocol === "ws:") {
+    if (!isLanHost(u.hostname)) return { ok: false, reason: "ws:// is only allowed for local/LAN servers; public servers need wss://" };
+    warnings.push("Unencrypted ws:// (LAN only); browsers block it on https pages unless the host is localhost");
+  }
+
+  // URL already lowercases the host and drops default ports for ws/wss
+  const path = u.pathname === "/" ? "" : u.pathname.replace(/\/+$/, "");
+  return { ok: true, url: `${u.protocol}//${u.host}${path}${u.search}`, warnings };
+}
+
+/**
+ * Identity of an endpoint for duplicate detection: host, effective port and path.
+ * Two entries with the same key reach the same server even if they were typed differently.
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function addressKey(url) {
+  const n = normalizeAddress(url);
+  if (!n.ok) return null;
+  const a = parseAddress(n.url);
+  return a && `${a.host}:${a.port}${a.path === "/" ? "" : a.path}`;
+}
+
+/**
+ * Website for a server: its own `homepage` if listed, otherwise a guess at the site on the
+ * same host. The guess drops the port and path, which belong to the WebSocket endpoint and
+ * usually 404 (or hang) over HTTPS.
+ * @param {import("@/data/servers").ServerItem} s
+ * @returns {{ url: string, guessed: boolean }|null}
+ */
+export function homepageUrl(s) {
+  if (s.homepage) return { url: s.homepage, guessed: false };
+  const addr = parseAddress(s.url);
+  // A bare IP has no website worth guessing at
+  if (!addr || /^[\d.]+$|^\[/.test(addr.host)) return null;
+  return { url: `https://${addr.host}/`, guessed: true };
+}
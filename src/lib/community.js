@@ -0,0 +1,179 @@
+/**
+ * Community votes and reports behind a swappable data provider.
+ *
+ * - Local provider: this browser only, in localStorage. The default, so the directory keeps
+ *   working as a static site; counts are just your own votes and reports.
+ * - HTTP provider: the REST API described in the README ("Community API"), enabled by building
+ *   with VITE_COMMUNITY_API. scripts/community-server.mjs is a reference implementation.
+ *
+ * Servers are identified by their canonical address (communityKey), not by local ids: a feed
+ * entry and a hand-added copy of the same server share votes, and ids differ between browsers.
+ * Writes are rate-limited per client (VOTE_LIMIT) by both providers; the HTTP server is the one
+ * that actually enforces it, since a client id is only a random token this browser keeps.
+ */
+import { addressKey } from "@/lib/address";
+
+export const COMMUNITY_KEY = "eaglercraft-community-v1";
+const CLIENT_ID_KEY = "eaglercraft-client-id";
+
+export const COMMUNITY_API = import.meta.env?.VITE_COMMUNITY_API || "";
+/** How often aggregated counts are refetched while the page is open */
+export const COUNTS_REFRESH_MS = 5 * 60 * 1000;
+/** Votes and reports allowed per client in a sliding window */
+export const VOTE_LIMIT = { max: 20, windowMs: 60 * 1000 };
+/** Reports at which a server gets a visible warning */
+export const REPORT_WARN_THRESHOLD = 3;
+export const REPORT_NOTE_MAX = 500;
+
+/** Reason codes, as stored and sent to the API; labels are the `report.reasons.<code>` messages */
+export const REPORT_REASONS = ["broken", "offensive", "malicious", "other"];
+
+/**
+ * @typedef {Object} CommunityCounts
+ * @property {number} up
+ * @property {number} down
+ * @property {number} reports
+ * @property {Partial<Record<(typeof REPORT_REASONS)[number], number>>} reasons - Reports by reason
+ */
+
+/**
+ * @typedef {Object} CommunityProvider
+ * @property {"local"|"http"} kind
+ * @property {() => Promise<Record<string, CommunityCounts>>} counts - Every server with any votes or reports
+ * @property {() => Promise<Record<string, 1|-1>>} myVotes - This client's current votes
+ * @property {(key: string, value: 1|-1|0) => Promise<CommunityCounts>} vote - 0 withdraws the vote
+ * @property {(key: string, reason: string, note?: string) => Promise<CommunityCounts>} report - A new report replaces this client's previous one
+ */
+
+/** @param {import("@/data/servers").ServerItem} s */
+export function communityKey(s) {
+  return addressKey(s.url) || s.url;
+}
+
+/** Random id this browser sends with every write, so the server can dedupe votes and rate-limit */
+export function clientId() {
+  let id = localStorage.getItem(CLIENT_ID_KEY);
+  if (!id) {
+    id = crypto.randomUUID();
+    localStorage.setItem(CLIENT_ID_KEY, id);
+  }
+  return id;
+}
+
+/** @returns {CommunityCounts} */
+export function emptyCounts() {
+  return { up: 0, down: 0, reports: 0, reasons: {} };
+}
+
+/**
+ * @param {number[]} log - Timestamps of recent writes, oldest first
+ * @param {number} now
+ * @returns {number} ms until another write is allowed, 0 if it is now
+ */
+export function rateLimitWait(log, now = Date.now()) {
+  const recent = log.filter((t) => now - t < VOTE_LIMIT.windowMs);
+  return recent.length < VOTE_LIMIT.max ? 0 : recent[0] + VOTE_LIMIT.windowMs - now;
+}
+
+/** `retryAfter` (seconds) lets the UI say it in the reader's language (`votes.rateLimited`) */
+function rateLimitError(ms) {
+  const retryAfter = Math.ceil(ms / 1000);
+  return Object.assign(new Error(`Too many votes or reports. Try again in ${retryAfter} s.`), { retryAfter });
+}
+
+// ------------------------------
+// Local provider
+// ------------------------------
+
+function loadLocal() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(COMMUNITY_KEY) || "null");
+    if (parsed && typeof parsed === "object") return { votes: parsed.votes || {}, reports: parsed.reports || {}, log: parsed.log || [] };
+  } catch {}
+  return { votes: {}, reports: {}, log: [] };
+}
+
+/** @returns {CommunityCounts} */
+function localCounts(data, key) {
+  const c = emptyCounts();
+  if (data.votes[key] === 1) c.up = 1;
+  if (data.votes[key] === -1) c.down = 1;
+  const report = data.reports[key];
+  if (report) {
+    c.reports = 1;
+    c.reasons[report.reason] = 1;
+  }
+  return c;
+}
+
+/** @returns {CommunityProvider} */
+export function createLocalProvider() {
+  function write(mutate) {
+    const data = loadLocal();
+    const now = Date.now();
+    const wait = rateLimitWait(data.log, now);
+    if (wait) throw rateLimitError(wait);
+    mutate(data);
+    data.log = [...data.log.filter((t) => now - t < VOTE_LIMIT.windowMs), now];
+    localStorage.setItem(COMMUNITY_KEY, JSON.stringify(data));
+    return data;
+  }
+  return {
+    kind: "local",
+    async counts() {
+      const data = loadLocal();
+      const keys = new Set([...Object.keys(data.votes), ...Object.keys(data.reports)]);
+      return Object.fromEntries([...keys].map((k) => [k, localCounts(data, k)]));
+    },
+    async myVotes() {
+      return loadLocal().votes;
+    },
+    async vote(key, value) {
+      const data = write((d) => {
+        if (value) d.votes[key] = value;
+        else delete d.votes[key];
+      });
+      return localCounts(data, key);
+    },
+    async report(key, reason, note) {
+      const data = write((d) => { d.reports[key] = { reason, note: note || undefined, t: Date.now() }; });
+      return localCounts(data, key);
+    },
+  };
+}
+
+// ------------------------------
+// HTTP provider
+// ------------------------------
+
+/**
+ * @param {string} baseUrl - API root, e.g. https://votes.example.net (endpoints live under /v1)
+ * @returns {CommunityProvider}
+ */
+export function createHttpProvider(baseUrl) {
+  const base = baseUrl.replace(/\/+$/, "");
+  async function request(method, path, body) {
+    const res = await fetch(`${base}/v1${path}`, {
+      method,
+      headers: { "X-Client-Id": clientId(), ...(body && { "Content-Type": "application/json" }) },
+      body: body && JSON.stringify(body),
+    });
+    if (res.status === 429) throw rateLimitError((Number(res.headers.get("Retry-After")) || 60) * 1000);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `Community API: HTTP ${res.status}`);
+    return data;
+  }
+  const path = (key) => encodeURIComponent(key);
+  return {
+    kind: "http",
+    counts: async () => (await request("GET", "/counts")).counts,
+    myVotes: async () => (await request("GET", "/votes/mine")).votes,
+    vote: async (key, value) => (await request("PUT", `/votes/${path(key)}`, { value })).counts,
+    report: async (key, reason, note) => (await request("POST", `/reports/${path(key)}`, { reason, note })).counts,
+  };
+}
+
+/** The provider this build uses: HTTP when VITE_COMMUNITY_API is set, otherwise local */
+export function createCommunityProvider() {
+  return COMMUNITY_API ? createHttpProvider(COMMUNITY_API) : createLocalProvider();
+}
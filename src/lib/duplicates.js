@@ -0,0 +1,55 @@
+/**
+ * Duplicate detection and merging: entries that reach the same endpoint (see addressKey),
+ * typically the same server from the seeds, a feed and an import.
+ */
+import { addressKey } from "@/lib/address";
+
+/**
+ * Groups of two or more servers that point at the same endpoint, in list order.
+ * @param {import("@/data/servers").ServerItem[]} servers
+ * @returns {import("@/data/servers").ServerItem[][]}
+ */
+export function findDuplicates(servers) {
+  const byKey = new Map();
+  for (const s of servers) {
+    const key = addressKey(s.url);
+    if (!key) continue;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(s);
+  }
+  return [...byKey.values()].filter((g) => g.length > 1);
+}
+
+/**
+ * Fold duplicates into one entry. The primary keeps its id, name, URL and source, so history,
+ * favorites and feed ownership stay attached; the others contribute what the primary lacks.
+ * - tags, groups and client versions: union
+ * - votes: the highest (the same votes are often counted by several lists, so summing would inflate them)
+ * - notes: all distinct notes, primary's first
+ * - favorite: if any of them was
+ * - short, region, homepage: the primary's, else the first other entry that has one
+ * @param {import("@/data/servers").ServerItem} primary
+ * @param {import("@/data/servers").ServerItem[]} others
+ * @returns {import("@/data/servers").ServerItem}
+ */
+export function mergeServers(primary, others) {
+  const all = [primary, ...others];
+  const union = (key) => [...new Set(all.flatMap((s) => s[key] || []))];
+  const first = (key) => all.map((s) => s[key]).find((v) => v) || undefined;
+  const votes = Math.max(...all.map((s) => s.votes || 0));
+  const notes = [...new Set(all.map((s) => s.notes?.trim()).filter(Boolean))].join("\n\n");
+  const groups = union("groups");
+  const clientVersions = union("clientVersions");
+  return {
+    ...primary,
+    tags: union("tags"),
+    groups: groups.length ? groups : undefined,
+    clientVersions: clientVersions.length ? clientVersions : undefined,
+    votes: votes || undefined,
+    notes: notes || undefined,
+    favorite: all.some((s) => s.favorite) || undefined,
+    short: first("short"),
+    region: first("region"),
+    homepage: first("homepage"),
+  };
+}
@@ -0,0 +1,154 @@
+/**
+ * Export targets. Each returns the file body as a string; the share link is async because it
+ * compresses with CompressionStream where the browser has it.
+ *
+ * - directory: our own JSON (round-trips favorites, notes and groups)
+ * - client:    EaglercraftX `servers` list, `[{ name, addr, hideAddress }]`, usable in client opts/servers.dat tools
+ * - csv:       same columns the importer reads
+ * - markdown:  a table for forum posts
+ */
+import { CURRENT_VERSION } from "@/lib/storage";
+
+export const SHARE_PARAM = "share";
+
+/** @type {Record<string, { label: string, ext: string, mime: string }>} */
+export const EXPORT_FORMATS = {
+  directory: { label: "Directory JSON", ext: "json", mime: "application/json" },
+  client: { label: "EaglercraftX client list", ext: "json", mime: "application/json" },
+  csv: { label: "CSV", ext: "csv", mime: "text/csv" },
+  markdown: { label: "Markdown table", ext: "md", mime: "text/markdown" },
+};
+
+const CSV_COLUMNS = ["id", "name", "url", "tags", "short", "region", "source", "votes"];
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function mdCell(v) {
+  return String(v ?? "").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+/**
+ * @param {"directory"|"client"|"csv"|"markdown"} format
+ * @param {import("@/data/servers").ServerItem[]} servers
+ * @param {import("@/data/servers").ServerGroup[]} [groups] - Only written by the directory format
+ * @returns {string}
+ */
+export function exportServers(format, servers, groups = []) {
+  switch (format) {
+    case "directory": {
+      // Only ship groups that something in this export belongs to
+      const used = new Set(servers.flatMap((s) => s.groups || []));
+      return JSON.stringify({ format: "eaglercraft-directory", version: CURRENT_VERSION, servers, groups: groups.filter((g) => used.has(g.id)) }, null, 2);
+    }
+    case "client":
+      return JSON.stringify(servers.map((s) => ({ name: s.name, addr: s.url, hideAddress: false })), null, 2);
+    case "csv":
+      return [
+        CSV_COLUMNS.join(","),
+        ...servers.map((s) => CSV_COLUMNS.map((c) => csvCell(c === "tags" ? s.tags?.join(";") : s[c])).join(",")),
+      ].join("\r\n") + "\r\n";
+    case "markdown":
+      return [
+        "| Server | Address | Tags | Description |",
+        "| --- | --- | --- | --- |",
+        ...servers.map((s) => `| ${mdCell(s.name)} | \`${mdCell(s.url)}\` | ${mdCell(s.tags?.join(", "))} | ${mdCell(s.short)} |`),
+      ].join("\n") + "\n";
+    default:
+      throw new Error(`Unknown export format "${format}"`);
+  }
+}
+
+/**
+ * Trigger a browser download of `text`.
+ * @param {string} text
+ * @param {string} filename
+ * @param {string} mime
+ */
+export function downloadText(text, filename, mime) {
+  const blob = new Blob([text], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ------------------------------
+// Share links
+// ------------------------------
+
+function toBase64Url(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(s) {
+  const bin = atob(s.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+async function pipe(bytes, stream) {
+  const out = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await out.arrayBuffer());
+}
+
+/**
+ * Encode servers as a compact payload for the URL hash.
+ * Tuples of [name, url, tags, short] keep it short; "z" prefixes deflated payloads, "j" plain JSON.
+ * @param {import("@/data/servers").ServerItem[]} servers
+ * @returns {Promise<string>}
+ */
+export async function encodeShare(servers) {
+  const tuples = servers.map((s) => {
+    const t = [s.name, s.url, (s.tags || []).join(","), s.short || ""];
+    while (t.length > 2 && !t[t.length - 1]) t.pop();
+    return t;
+  });
+  const json = new TextEncoder().encode(JSON.stringify(tuples));
+  if (typeof CompressionStream === "function") {
+    return "z" + toBase64Url(await pipe(json, new CompressionStream("deflate-raw")));
+  }
+  return "j" + toBase64Url(json);
+}
+
+/**
+ * Inverse of encodeShare. Returns entries in the shape the importer accepts, without a `source`:
+ * the link doesn't carry one, and a made-up label would show as a change on every server the
+ * receiver already has. Pass `{ source: "shared link" }` to diffImport to label new ones.
+ * @param {string} payload
+ * @returns {Promise<{ name: string, url: string, tags?: string[], short?: string }[]>}
+ */
+export async function decodeShare(payload) {
+  let bytes = fromBase64Url(payload.slice(1));
+  if (payload[0] === "z") {
+    if (typeof DecompressionStream !== "function") throw new Error("This browser can't open compressed share links");
+    bytes = await pipe(bytes, new DecompressionStream("deflate-raw"));
+  } else if (payload[0] !== "j") {
+    throw new Error("Unrecognised share link");
+  }
+  const tuples = JSON.parse(new TextDecoder().decode(bytes));
+  if (!Array.isArray(tuples)) throw new Error("Unrecognised share link");
+  return tuples.map(([name, url, tags, short]) => ({
+    name,
+    url,
+    tags: tags ? String(tags).split(",") : undefined,
+    short: short || undefined,
+  }));
+}
+
+/**
+ * Full link for the current page with the payload in the hash (works under the Pages base path).
+ * @param {string} payload
+ */
+export function shareUrl(payload) {
+  return `${location.origin}${location.pathname}#${SHARE_PARAM}=${payload}`;
+}
+
+/** @returns {string|null} The payload if the current URL is a share link */
+export function readSharePayload() {
+  const m = location.hash.match(new RegExp(`^#${SHARE_PARAM}=([A-Za-z0-9_-]+)$`));
+  return m ? m[1] : null;
+}
@@ -0,0 +1,209 @@
+/**
+ * Upstream list feeds ("subscriptions").
+ *
+ * A feed is a JSON document served over HTTP(S), fetched on load and every FEED_REFRESH_MS:
+ *
+ *   {
+ *     "format": "eaglercraft-feed",
+ *     "version": 1,
+ *     "name": "Example list",                   // optional, suggested label
+ *     "servers": [
+ *       { "id": "nexo", "name": "NexoX", "url": "wss://nexo-app.net",
+ *         "tags": ["PvP"], "short": "…", "region": "EU", "votes": 12 }
+ *     ]
+ *   }
+ *
+ * `id` is optional (the host is used instead) but lets a feed rename or move a server without it
+ * showing up as new. A bare array of servers, or this app's own export, is accepted too.
+ * See public/feeds/example.json for a copy that can be subscribed to locally (`./feeds/example.json`);
+ * a deployed directory publishes its own list in this format at `api/servers.json`.
+ *
+ * Same-origin fetches send If-None-Match / If-Modified-Since. Cross-origin ones don't (those headers
+ * would force a CORS preflight most static hosts reject); `cache: "no-cache"` still has the browser
+ * revalidate with the ETag, and an unchanged ETag skips re-parsing. A 304 or a network failure falls
+ * back to the last good copy kept with the subscription. Servers a feed stops listing are flagged
+ * `removedUpstream` rather than deleted, so favorites and notes on them survive. Feed-owned fields
+ * the user edited are listed in the entry's `overrides` and left alone by later refreshes.
+ */
+import { validateServer } from "@/lib/storage";
+
+export const FEEDS_KEY = "eaglercraft-feeds-v1";
+export const FEED_REFRESH_MS = 30 * 60 * 1000;
+
+/**
+ * @typedef {Object} Subscription
+ * @property {string} id
+ * @property {string} url - Absolute, or relative to the page (handy for a local static stand-in)
+ * @property {string} source - Label written to each server's `source`
+ * @property {boolean} enabled
+ * @property {string=} etag
+ * @property {string=} lastModified
+ * @property {number=} lastFetched - Epoch ms of the last successful fetch (200 or 304)
+ * @property {string=} lastError
+ * @property {import("@/data/servers").ServerItem[]=} cache - Last good copy, already validated
+ */
+
+/** @returns {Subscription[]} */
+export function loadSubscriptions() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(FEEDS_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed.filter((s) => s && typeof s.id === "string" && typeof s.url === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+/** @param {Subscription[]} subs */
+export function saveSubscriptions(subs) {
+  try {
+    localStorage.setItem(FEEDS_KEY, JSON.stringify(subs));
+  } catch {
+    // Without the cache we just refetch next time; drop it rather than failing the whole save
+    localStorage.setItem(FEEDS_KEY, JSON.stringify(subs.map(({ cache, ...rest }) => rest)));
+  }
+}
+
+/**
+ * @param {string} url
+ * @param {string=} label
+ * @returns {Subscription}
+ */
+export function createSubscription(url, label) {
+  let source = label?.trim();
+  if (!source) {
+    try { source = new URL(url, location.href).host; } catch { source = url; }
+  }
+  return { id: `feed-${Date.now()}`, url: url.trim(), source, enabled: true };
+}
+
+/**
+ * Validate a feed document into ServerItems owned by this subscription.
+ * Ids are namespaced by subscription so two feeds (or a feed and the seeds) can't collide.
+ * @param {any} doc
+ * @param {Subscription} sub
+ * @returns {{ servers: import("@/data/servers").ServerItem[], invalid: number, name?: string }}
+ */
+export function parseFeed(doc, sub) {
+  const list = Array.isArray(doc) ? doc : doc?.servers;
+  if (!Array.isArray(list)) throw new Error("Feed has no servers array");
+  const servers = [];
+  let invalid = 0;
+  const seen = new Set();
+  for (const raw of list) {
+    let key = typeof raw?.id === "string" && raw.id.trim() ? raw.id.trim() : "";
+    if (!key) {
+      try { key = new URL(raw?.url).host.toLowerCase(); } catch {}
+    }
+    const res = validateServer({
+      id: `${sub.id}/${key}`,
+      name: raw?.name,
+      url: raw?.url,
+      tags: Array.isArray(raw?.tags) ? raw.tags : [],
+      short: raw?.short || undefined,
+      region: raw?.region || undefined,
+      votes: Number.isFinite(raw?.votes) ? raw.votes : undefined,
+      homepage: raw?.homepage || undefined,
+      clientVersions: Array.isArray(raw?.clientVersions) ? raw.clientVersions : undefined,
+      source: sub.source,
+      feedId: sub.id,
+    });
+    if (!key || !res.ok || seen.has(res.server.id)) { invalid++; continue; }
+    seen.add(res.server.id);
+    servers.push(res.server);
+  }
+  return { servers, invalid, name: typeof doc?.name === "string" ? doc.name : undefined };
+}
+
+/**
+ * Fetch one subscription with conditional-request caching.
+ * Never throws: failures come back as `error` alongside the cached copy.
+ * @param {Subscription} sub
+ * @param {{ signal?: AbortSignal }} [opts]
+ * @returns {Promise<{ patch: Partial<Subscription>, servers: import("@/data/servers").ServerItem[]|null, fresh: boolean, error?: string }>}
+ */
+export async function fetchFeed(sub, { signal } = {}) {
+  try {
+    const target = new URL(sub.url, location.href);
+    const headers = {};
+    if (target.origin === location.origin) {
+      if (sub.etag) headers["If-None-Match"] = sub.etag;
+      if (sub.lastModified) headers["If-Modified-Since"] = sub.lastModified;
+    }
+    const res = await fetch(target, { headers, signal, cache: "no-cache" });
+    const etag = res.headers.get("ETag");
+    if (sub.cache && (res.status === 304 || (res.ok && etag && etag === sub.etag))) {
+      return { patch: { lastFetched: Date.now(), lastError: undefined }, servers: sub.cache, fresh: false };
+    }
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { servers } = parseFeed(await res.json(), sub);
+    return {
+      patch: {
+        etag: etag || undefined,
+        lastModified: res.headers.get("Last-Modified") || undefined,
+        lastFetched: Date.now(),
+        lastError: undefined,
+        cache: servers,
+      },
+      servers,
+      fresh: true,
+    };
+  } catch (e) {
+    const error = e?.message || String(e);
+    return { patch: { lastError: error }, servers: sub.cache || null, fresh: false, error };
+  }
+}
+
+export const FEED_FIELDS = ["name", "url", "tags", "short", "region", "votes", "source", "homepage", "clientVersions"];
+
+// The edit form saves "" and [] where a feed leaves a field out; neither is a change
+const blank = (v) => v == null || v === "" || (Array.isArray(v) && !v.length);
+const sameValue = (a, b) => (blank(a) && blank(b)) || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Note which feed-owned fields a local change made to a feed entry, so reconcileFeed keeps them.
+ * Entries that don't come from a feed are returned as they are.
+ * @param {import("@/data/servers").ServerItem} before
+ * @param {import("@/data/servers").ServerItem} after
+ * @returns {import("@/data/servers").ServerItem}
+ */
+export function markOverrides(before, after) {
+  if (!after.feedId) return after;
+  const changed = FEED_FIELDS.filter((f) => !sameValue(before[f], after[f]));
+  if (!changed.length) return after;
+  return { ...after, overrides: [...new Set([...(before.overrides || []), ...changed])] };
+}
+
+/**
+ * Fold a feed's current servers into the directory.
+ * - New entries are appended unless the user hid them (`hiddenIds`)
+ * - Existing entries get feed-owned fields updated, except the ones listed in their `overrides`;
+ *   favorite, notes and groups are kept
+ * - Entries from this feed that are no longer listed are flagged `removedUpstream`
+ * @param {import("@/data/servers").ServerItem[]} servers
+ * @param {Subscription} sub
+ * @param {import("@/data/servers").ServerItem[]} feedServers
+ * @param {string[]} hiddenIds
+ */
+export function reconcileFeed(servers, sub, feedServers, hiddenIds = []) {
+  const incoming = new Map(feedServers.map((s) => [s.id, s]));
+  let changed = false;
+  const next = servers.map((s) => {
+    if (s.feedId !== sub.id) return s;
+    const fresh = incoming.get(s.id);
+    if (!fresh) {
+      if (s.removedUpstream) return s;
+      changed = true;
+      return { ...s, removedUpstream: true };
+    }
+    incoming.delete(s.id);
+    const owned = FEED_FIELDS.filter((f) => !s.overrides?.includes(f));
+    if (!s.removedUpstream && owned.every((f) => JSON.stringify(s[f]) === JSON.stringify(fresh[f]))) return s;
+    changed = true;
+    const { removedUpstream, ...rest } = s;
+    for (const f of owned) rest[f] = fresh[f];
+    return rest;
+  });
+  const added = [...incoming.values()].filter((s) => !hiddenIds.includes(s.id));
+  // Same array back when nothing changed, so callers don't trigger a save
+  return changed || added.length ? [...next, ...added] : servers;
+}
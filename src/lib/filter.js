@@ -0,0 +1,148 @@
+/**
+ * The list pipeline behind the toolbar: search, tag/group/status filters, then sort.
+ *
+ * Pure, so it runs either on the main thread (small lists) or in the search worker
+ * (src/workers/search.worker.js) once a list passes LARGE_LIST. Both sides work from the same
+ * prebuilt index (lib/search buildIndex) and a per-server status summary instead of full history.
+ */
+import { lastSample, uptime } from "@/lib/monitor";
+import { buildIndex, isEmptySearch, matchServer, parseSearch } from "@/lib/search";
+
+/** Above this many servers, views are windowed, animations are off and search moves to the worker */
+export const LARGE_LIST = 300;
+
+/**
+ * @typedef {Object} StatusSummary
+ * @property {import("@/lib/monitor").StatusSample|null} last
+ * @property {number|null} uptime
+ */
+
+/**
+ * @typedef {Object} FilterState
+ * @property {string} q
+ * @property {string[]} tags
+ * @property {string[]} excludeTags
+ * @property {"all"|"any"} tagMode
+ * @property {string} group - "all", "favorites" or a group id
+ * @property {string} sort - One of SORT_KEYS
+ * @property {{ onlineOnly: boolean, hideUnreachable: boolean, maxLatency: number|null }} status
+ */
+
+/**
+ * @typedef {Object} FilterResult
+ * @property {string[]} ids - In display order
+ * @property {Map<string, import("@/lib/search").SearchMatch>} matches
+ */
+
+/**
+ * Reduce status history to what filtering and sorting read, so the worker gets a small message.
+ * @param {Record<string, import("@/lib/monitor").StatusSample[]>} history
+ * @returns {Record<string, StatusSummary>}
+ */
+export function summarizeHistory(history) {
+  const out = {};
+  for (const [id, samples] of Object.entries(history)) out[id] = { last: lastSample(samples), uptime: uptime(samples) };
+  return out;
+}
+
+/**
+ * Search matches (score and highlight ranges) for results of a worker query, computed per server
+ * on first use. The worker only sends ids back: cloning a match for each of thousands of results
+ * costs more than the search, and only the rows on screen need one.
+ * @param {string} q
+ * @param {Map<string, import("@/data/servers").ServerItem>} byId
+ * @returns {{ get: (id: string) => import("@/lib/search").SearchMatch|undefined }}
+ */
+export function lazyMatches(q, byId) {
+  const search = parseSearch(q);
+  const cache = new Map();
+  return {
+    get(id) {
+      if (isEmptySearch(search) || !byId.has(id)) return undefined;
+      if (!cache.has(id)) {
+        const one = buildIndex([byId.get(id)]);
+        cache.set(id, matchServer(one.entries[0], search, one) || undefined);
+      }
+      return cache.get(id);
+    },
+  };
+}
+
+/**
+ * Compare two optional numbers so that missing values (never checked) always sort last.
+ * @param {number|null|undefined} a
+ * @param {number|null|undefined} b
+ * @param {"asc"|"desc"} dir
+ */
+function compareNullsLast(a, b, dir) {
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  return dir === "asc" ? a - b : b - a;
+}
+
+/**
+ * Sort key for a status field: the value when online, a worst-case sentinel when checked but
+ * offline, and null when never checked (so compareNullsLast puts those at the very end).
+ * @param {import("@/lib/monitor").StatusSample|null} sample
+ * @param {"ms"|"p"} field
+ */
+function statusRank(sample, field) {
+  if (!sample) return null;
+  if (sample.ok && sample[field] != null) return sample[field];
+  return field === "ms" ? Number.MAX_SAFE_INTEGER : -1;
+}
+
+/**
+ * @param {import("@/lib/search").SearchIndex} index
+ * @param {FilterState} state
+ * @param {Record<string, StatusSummary>} stats
+ * @param {Record<string, number>} [votes] - Net community votes by server id, added to each list's own count
+ * @returns {FilterResult}
+ */
+export function filterServers(index, state, stats, votes = {}) {
+  const { tags, excludeTags, tagMode, group, sort, status } = state;
+  const last = (s) => stats[s.id]?.last ?? null;
+  const search = parseSearch(state.q);
+  const searching = !isEmptySearch(search);
+  /** @type {Map<string, import("@/lib/search").SearchMatch>} */
+  const matches = new Map();
+  /** @type {import("@/lib/search").IndexEntry[]} */
+  const out = [];
+  for (const e of index.entries) {
+    const { s } = e;
+    const matchesTags = !tags.length
+      || (tagMode === "any" ? tags.some((t) => s.tags?.includes(t)) : tags.every((t) => s.tags?.includes(t)));
+    if (!matchesTags || excludeTags.some((t) => s.tags?.includes(t))) continue;
+    if (group !== "all" && !(group === "favorites" ? s.favorite : s.groups?.includes(group))) continue;
+    const l = last(s);
+    const matchesStatus = (!status.onlineOnly || l?.ok)
+      && (!status.hideUnreachable || !l || l.ok)
+      && (!status.maxLatency || (l?.ok && l.ms != null && l.ms <= status.maxLatency));
+    if (!matchesStatus) continue;
+    // Cheap filters first: fuzzy matching is the expensive part
+    if (searching) {
+      const match = matchServer(e, search, index);
+      if (!match) continue;
+      matches.set(s.id, match);
+    }
+    out.push(e);
+  }
+
+  // Comparators take index entries; `a.s` is the server
+  const byName = (a, b) => a.nameRank - b.nameRank;
+  const score = (e) => matches.get(e.s.id)?.score || 0;
+  if (sort === "relevance") out.sort(searching ? (a, b) => score(b) - score(a) || byName(a, b) : byName);
+  else if (sort === "name") out.sort(byName);
+  else if (sort === "favorites") out.sort((a, b) => Number(!!b.s.favorite) - Number(!!a.s.favorite) || byName(a, b));
+  else if (sort === "votes") {
+    const total = (e) => (e.s.votes || 0) + (votes[e.s.id] || 0);
+    out.sort((a, b) => total(b) - total(a) || byName(a, b));
+  }
+  else if (sort === "source") out.sort((a, b) => index.collator.compare(a.s.source || "zzz", b.s.source || "zzz"));
+  // Status sorts: offline servers have no ping/players but rank above never-checked ones
+  else if (sort === "ping") out.sort((a, b) => compareNullsLast(statusRank(last(a.s), "ms"), statusRank(last(b.s), "ms"), "asc"));
+  else if (sort === "players") out.sort((a, b) => compareNullsLast(statusRank(last(a.s), "p"), statusRank(last(b.s), "p"), "desc"));
+  else if (sort === "uptime") out.sort((a, b) => compareNullsLast(stats[a.s.id]?.uptime, stats[b.s.id]?.uptime, "desc"));
+  return { ids: out.map((e) => e.s.id), matches };
+}
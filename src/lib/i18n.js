@@ -0,0 +1,82 @@
+/**
+ * UI translations: one message catalog per language in src/locales (English is the reference),
+ * a translator with {placeholders} and plural forms, and the React context components read it from.
+ *
+ * A message is either a string or, when it depends on a number, an object keyed by plural
+ * category ("one", "few", "many", "other"; see Intl.PluralRules) picked by the `count` variable.
+ * A key missing from a catalog falls back to English at runtime, and `npm run validate`
+ * (scripts/check-locales.mjs) fails until it is added.
+ *
+ * Tags stay English in data, URLs and exports; `t.tag` only translates how they're displayed.
+ */
+import { createContext, useContext } from "react";
+import en from "@/locales/en.json";
+import es from "@/locales/es.json";
+import pt from "@/locales/pt.json";
+import ru from "@/locales/ru.json";
+
+export const DEFAULT_LOCALE = "en";
+
+/** Languages in the switcher, each named in itself */
+export const LOCALES = [
+  { code: "en", name: "English" },
+  { code: "es", name: "Español" },
+  { code: "pt", name: "Português" },
+  { code: "ru", name: "Русский" },
+];
+
+const CATALOGS = { en, es, pt, ru };
+
+/**
+ * @typedef {((key: string, vars?: Record<string, string|number>) => string) & { locale: string, tag: (tag: string) => string }} Translator
+ * `t(key, vars)` formats a message; numbers in `vars` are formatted for the locale.
+ */
+
+/**
+ * First supported language among the browser's preferences, matched on the base language
+ * (pt-BR gets "pt").
+ * @param {readonly string[]} preferred
+ */
+export function detectLocale(preferred = navigator.languages || [navigator.language]) {
+  for (const tag of preferred) {
+    const base = tag?.toLowerCase().split("-")[0];
+    if (CATALOGS[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/** @param {string|null} code */
+export function isLocale(code) {
+  return LOCALES.some((l) => l.code === code);
+}
+
+/**
+ * @param {string} locale - One of LOCALES
+ * @returns {Translator}
+ */
+export function createTranslator(locale) {
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  const plural = new Intl.PluralRules(locale);
+  const number = new Intl.NumberFormat(locale);
+  const t = (key, vars = {}) => {
+    let message = catalog[key] ?? en[key];
+    if (message == null) return key;
+    if (typeof message === "object") message = message[plural.select(vars.count ?? 0)] ?? message.other;
+    return message.replace(/\{(\w+)\}/g, (whole, name) => {
+      const v = vars[name];
+      if (v == null) return whole;
+      return typeof v === "number" ? number.format(v) : String(v);
+    });
+  };
+  t.locale = locale;
+  // Tags from feeds may not be in the catalog; those show as they are
+  t.tag = (tag) => catalog[`tags.${tag}`] ?? en[`tags.${tag}`] ?? tag;
+  return t;
+}
+
+export const I18nContext = createContext(createTranslator(DEFAULT_LOCALE));
+
+/** The translator for the current language */
+export function useT() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,249 @@
+/**
+ * Import parsing and diffing.
+ *
+ * Accepted inputs (detected from content, not the file extension):
+ * - Our own export: `{ format: "eaglercraft-directory", servers, groups }` or a bare ServerItem[]
+ * - Eaglercraft client server lists (servers.dat as JSON): `{ servers: [{ name, ip|addr }] }` or the bare array
+ * - CSV with a header row (name,url,tags,short,region,source; tags separated by `;` or `|`)
+ * - Plain text: one address per line (wss://, LAN ws://, or a bare host), `#` comments allowed
+ *
+ * Addresses are canonicalised by validateServer, so an entry matches an existing server however it was typed.
+ *
+ * Nothing here touches state; the wizard previews `diffImport` and `applyImport` builds the new list.
+ */
+import { addressKey } from "@/lib/address";
+import { validateGroups, validateServer } from "@/lib/storage";
+
+/** Fields compared field-by-field in the preview, in display order */
+export const DIFF_FIELDS = ["name", "url", "tags", "short", "region", "votes", "source", "homepage", "clientVersions", "notes", "favorite", "groups"];
+
+/**
+ * @typedef {Object} ParsedImport
+ * @property {"directory"|"client"|"csv"|"text"} format
+ * @property {any[]} entries - Raw entries, not yet validated
+ * @property {import("@/data/servers").ServerGroup[]} groups
+ */
+
+/**
+ * @typedef {Object} ImportDiff
+ * @property {import("@/data/servers").ServerItem[]} added
+ * @property {{ mine: import("@/data/servers").ServerItem, theirs: import("@/data/servers").ServerItem, fields: { field: string, mine: any, theirs: any }[] }[]} changed
+ * @property {import("@/data/servers").ServerItem[]} unchanged
+ * @property {{ raw: any, reason: string }[]} invalid
+ * @property {Record<string, string[]>} warnings - By URL of the added or changed entry (e.g. "assumed wss://")
+ */
+
+// ------------------------------
+// Parsing
+// ------------------------------
+
+/**
+ * Split CSV text into rows. Handles quoted fields, doubled quotes and CRLF.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+function fromCSV(text) {
+  const [header, ...rows] = parseCSV(text);
+  const cols = header.map((h) => h.trim().toLowerCase());
+  // Accept "address"/"ip"/"addr" headers for the URL column
+  const urlCol = cols.findIndex((c) => URL_HEADERS.includes(c));
+  if (urlCol === -1) throw new Error("CSV needs a url column");
+  return rows.map((r) => {
+    // An empty cell means "not given", like a missing column, so it can't blank out an existing value
+    const get = (name) => {
+      const i = cols.indexOf(name);
+      return (i === -1 ? undefined : r[i]?.trim()) || undefined;
+    };
+    // Likewise a count that isn't a number ("abc", "n/a")
+    const votes = Number(get("votes"));
+    const tags = get("tags")?.split(/[;|]/).map((t) => t.trim()).filter(Boolean);
+    return {
+      id: get("id"),
+      name: get("name"),
+      url: r[urlCol]?.trim(),
+      tags: tags?.length ? tags : undefined,
+      short: get("short") || get("description"),
+      region: get("region"),
+      source: get("source"),
+      votes: Number.isFinite(votes) ? votes : undefined,
+    };
+  });
+}
+
+const URL_HEADERS = ["url", "address", "addr", "ip"];
+
+function fromText(text) {
+  return text.split(/\r?\n/)
+    .map((l) => l.trim())
+    // A lone header line is a one-column CSV, not an address
+    .filter((l, i) => l && !l.startsWith("#") && !(i === 0 && URL_HEADERS.includes(l.toLowerCase())))
+    .map((url) => ({ url }));
+}
+
+/** Eaglercraft clients call the address `ip` (servers.dat) or `addr` (EaglercraftX opts) */
+function isClientEntry(e) {
+  return e && typeof e === "object" && !("url" in e) && (typeof e.ip === "string" || typeof e.addr === "string");
+}
+
+/**
+ * @param {string} text
+ * @returns {ParsedImport}
+ */
+export function parseImport(text) {
+  const trimmed = text.trim();
+  if (!trimmed) throw new Error("Nothing to import");
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (e) {
+      throw new Error(`Invalid JSON: ${e.message}`);
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed?.servers;
+    if (!Array.isArray(list)) throw new Error("JSON must be an array of servers or an object with a servers array");
+    if (list.length && list.every(isClientEntry)) {
+      return {
+        format: "client",
+        entries: list.map((e) => ({ name: e.name, url: e.ip ?? e.addr })),
+        groups: [],
+      };
+    }
+    return { format: "directory", entries: list, groups: Array.isArray(parsed) ? [] : validateGroups(parsed.groups) };
+  }
+  // CSV needs a header row with at least two columns; anything else is an address per line
+  if (!trimmed.split(/\r?\n/)[0].includes(",")) {
+    return { format: "text", entries: fromText(trimmed), groups: [] };
+  }
+  return { format: "csv", entries: fromCSV(trimmed), groups: [] };
+}
+
+// ------------------------------
+// Normalising and diffing
+// ------------------------------
+
+/**
+ * Shape one raw entry like a ServerItem so validateServer can judge it.
+ * @param {any} s
+ * @param {number} i
+ * @param {string} source - Label for entries that don't name their own
+ */
+function normalizeEntry(s, i, source) {
+  if (!s || typeof s !== "object") return s;
+  const url = typeof s.url === "string" ? s.url.trim() : s.url;
+  let fallbackName = url;
+  try { fallbackName = new URL(url).host; } catch {}
+  return {
+    ...s,
+    id: typeof s.id === "string" && s.id.trim() ? s.id : `import-${Date.now()}-${i}`,
+    name: typeof s.name === "string" && s.name.trim() ? s.name : String(fallbackName || "Unnamed"),
+    url,
+    tags: Array.isArray(s.tags) ? s.tags.filter(Boolean) : [],
+    short: s.short || undefined,
+    region: s.region || undefined,
+    votes: Number.isFinite(s.votes) ? s.votes : undefined,
+    community: true,
+    source: s.source || source,
+  };
+}
+
+function sameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    const x = [...(a || [])].sort();
+    const y = [...(b || [])].sort();
+    return x.length === y.length && x.every((v, i) => v === y[i]);
+  }
+  return (a ?? "") === (b ?? "");
+}
+
+/**
+ * Compare incoming entries against the current list. Matches by id, then by endpoint (see addressKey).
+ * @param {import("@/data/servers").ServerItem[]} existing
+ * @param {any[]} entries
+ * @param {{ source?: string }} [opts] - `source` labels added entries that carry none; matched
+ *   entries keep their own, since it says where they came from, not what the import says
+ * @returns {ImportDiff}
+ */
+export function diffImport(existing, entries, { source = "import" } = {}) {
+  const byId = new Map(existing.map((s) => [s.id, s]));
+  const byAddress = new Map(existing.map((s) => [addressKey(s.url), s]));
+  /** @type {ImportDiff} */
+  const diff = { added: [], changed: [], unchanged: [], invalid: [], warnings: {} };
+  const seen = new Set();
+
+  entries.forEach((raw, i) => {
+    const res = validateServer(normalizeEntry(raw, i, source));
+    if (!res.ok) return diff.invalid.push({ raw, reason: res.reason });
+    const theirs = res.server;
+    const mine = byId.get(theirs.id) || byAddress.get(addressKey(theirs.url));
+    const key = mine ? mine.id : addressKey(theirs.url);
+    if (seen.has(key)) return diff.invalid.push({ raw, reason: "Duplicate entry in this import" });
+    seen.add(key);
+    if (res.warnings.length) diff.warnings[theirs.url] = res.warnings;
+    if (!mine) return diff.added.push(theirs);
+    // Fields the import doesn't carry (a bare address list has no name or tags) aren't a conflict
+    const fields = DIFF_FIELDS
+      .filter((f) => raw[f] != null)
+      .filter((f) => !sameValue(mine[f], theirs[f]))
+      .map((f) => ({ field: f, mine: mine[f], theirs: theirs[f] }));
+    if (fields.length) diff.changed.push({ mine, theirs, fields });
+    else diff.unchanged.push(mine);
+  });
+  return diff;
+}
+
+/**
+ * Resolve one changed entry. Only the fields listed in the diff are touched.
+ * @param {ImportDiff["changed"][number]} change
+ * @param {"mine"|"theirs"|"merge"} choice
+ * @returns {import("@/data/servers").ServerItem}
+ */
+export function resolveConflict({ mine, fields }, choice) {
+  // The existing id always wins so favorites, history and groups stay attached
+  if (choice === "mine") return mine;
+  const out = { ...mine };
+  for (const { field, mine: a, theirs: b } of fields) {
+    if (choice === "theirs") out[field] = b;
+    else if (Array.isArray(a) || Array.isArray(b)) out[field] = [...new Set([...(a || []), ...(b || [])])];
+    else if (field === "votes") out.votes = Math.max(a || 0, b || 0) || undefined;
+    else if (field === "favorite") out.favorite = a || b || undefined;
+    else if (field === "notes") out.notes = [a, b].filter(Boolean).join("\n\n") || undefined;
+    else out[field] = b || a;
+  }
+  return out;
+}
+
+/**
+ * @param {import("@/data/servers").ServerItem[]} existing
+ * @param {ImportDiff} diff
+ * @param {Record<string, "mine"|"theirs"|"merge">} choices - By existing server id; missing means "theirs"
+ * @param {Set<string>=} skipAdded - URLs of added entries the user unticked (generated ids change between diffs)
+ */
+export function applyImport(existing, diff, choices, skipAdded = new Set()) {
+  const replaced = new Map(diff.changed.map((c) => [c.mine.id, resolveConflict(c, choices[c.mine.id] || "theirs")]));
+  return [
+    ...existing.map((s) => replaced.get(s.id) || s),
+    ...diff.added.filter((s) => !skipAdded.has(s.url)),
+  ];
+}
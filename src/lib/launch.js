@@ -0,0 +1,98 @@
+/**
+ * "Play": hand a server address to a hosted Eaglercraft web client.
+ *
+ * Each launch target is a URL template for one client build. Placeholders:
+ *   {url}   the encoded address as stored, e.g. wss%3A%2F%2Fplay.example.net
+ *   {host}  the encoded address without its scheme, for builds that expect host[:port]
+ *   {name}  the encoded server name
+ * Put them wherever that build reads its server from: `?server={url}`, `#server={url}`, etc.
+ * The first default can be set at build time with VITE_CLIENT_URL.
+ *
+ * Servers may list the client versions they accept (ServerItem.clientVersions); Play then falls
+ * back from the preferred client to the first one that matches.
+ */
+import { CLIENT_VERSIONS } from "@/data/servers";
+
+export const CLIENTS_KEY = "eaglercraft-clients-v1";
+/** Single template saved by earlier versions; folded into the target list on first load */
+const LEGACY_CLIENT_URL_KEY = "eaglercraft-client-url";
+
+export const DEFAULT_CLIENT_URL = import.meta.env?.VITE_CLIENT_URL || "https://eaglercraft.com/mc/1.8.8/?server={url}";
+
+/**
+ * @typedef {Object} ClientTarget
+ * @property {string} id
+ * @property {string} name
+ * @property {string} version - One of CLIENT_VERSIONS
+ * @property {string} template
+ */
+
+/** @type {ClientTarget[]} */
+export const DEFAULT_CLIENTS = [
+  { id: "eaglercraftx-1.8", name: "EaglercraftX 1.8", version: "1.8.8", template: DEFAULT_CLIENT_URL },
+  { id: "eaglercraft-1.5", name: "Eaglercraft 1.5.2", version: "1.5.2", template: "https://eaglercraft.com/mc/1.5.2/?server={url}" },
+];
+
+/** A template is usable if it's an http(s) URL with a {url} or {host} placeholder */
+export function isValidClientUrl(template) {
+  if (!/\{(url|host)\}/.test(template)) return false;
+  try {
+    return /^https?:$/.test(new URL(template.replace(/\{\w+\}/g, "x")).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function isTarget(t) {
+  return t && typeof t.id === "string" && typeof t.name === "string" && CLIENT_VERSIONS.includes(t.version) && isValidClientUrl(String(t.template));
+}
+
+/** @returns {{ targets: ClientTarget[], preferred: string }} */
+export function loadClients() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(CLIENTS_KEY) || "null");
+    const targets = Array.isArray(parsed?.targets) ? parsed.targets.filter(isTarget) : [];
+    if (targets.length) {
+      return { targets, preferred: targets.some((t) => t.id === parsed.preferred) ? parsed.preferred : targets[0].id };
+    }
+  } catch {}
+  const legacy = localStorage.getItem(LEGACY_CLIENT_URL_KEY);
+  if (legacy && isValidClientUrl(legacy)) {
+    const custom = { id: "custom", name: "Custom client", version: "1.8.8", template: legacy };
+    return { targets: [custom, ...DEFAULT_CLIENTS], preferred: custom.id };
+  }
+  return { targets: DEFAULT_CLIENTS, preferred: DEFAULT_CLIENTS[0].id };
+}
+
+/** @param {{ targets: ClientTarget[], preferred: string }} clients */
+export function saveClients(clients) {
+  localStorage.setItem(CLIENTS_KEY, JSON.stringify(clients));
+  localStorage.removeItem(LEGACY_CLIENT_URL_KEY);
+}
+
+/**
+ * The client Play should open for a server: the preferred one if the server accepts its version
+ * (or doesn't say), otherwise the first target that matches.
+ * @param {ClientTarget[]} targets
+ * @param {string} preferred
+ * @param {import("@/data/servers").ServerItem} s
+ * @returns {{ target: ClientTarget, compatible: boolean }}
+ */
+export function pickClient(targets, preferred, s) {
+  const mine = targets.find((t) => t.id === preferred) || targets[0];
+  const accepts = (t) => !s.clientVersions?.length || s.clientVersions.includes(t.version);
+  if (accepts(mine)) return { target: mine, compatible: true };
+  const other = targets.find(accepts);
+  return other ? { target: other, compatible: true } : { target: mine, compatible: false };
+}
+
+/**
+ * @param {ClientTarget} target
+ * @param {import("@/data/servers").ServerItem} s
+ */
+export function launchUrl(target, s) {
+  return target.template
+    .replaceAll("{url}", encodeURIComponent(s.url))
+    .replaceAll("{host}", encodeURIComponent(s.url.replace(/^wss?:\/\//, "")))
+    .replaceAll("{name}", encodeURIComponent(s.name));
+}
@@ -0,0 +1,113 @@
+/**
+ * Bulk status monitor: runs MOTD queries through a small worker pool and keeps a rolling
+ * per-server history (online/offline, latency, players) in localStorage.
+ *
+ * WHY a pool: browsers cap concurrent WebSocket handshakes per host and a school network
+ * will happily drop 50 parallel sockets, so "Check all" drains a queue a few at a time.
+ */
+import { queryServer } from "@/lib/query";
+
+export const HISTORY_KEY = "eaglercraft-status-history-v1";
+export const MAX_SAMPLES = 50;
+export const DEFAULT_CONCURRENCY = 4;
+export const DEFAULT_TIMEOUT_MS = 5000;
+/** Background re-check interval for favorites while the tab is visible, and while it's hidden */
+export const FAVORITE_RECHECK_MS = 2 * 60 * 1000;
+export const FAVORITE_RECHECK_HIDDEN_MS = 10 * 60 * 1000;
+
+/**
+ * @typedef {Object} StatusSample
+ * @property {number} t - checkedAt, epoch ms
+ * @property {boolean} ok - Answered the query
+ * @property {number|null} ms - Round-trip latency
+ * @property {number|null} p - Players online
+ */
+
+/** @typedef {Record<string, StatusSample[]>} StatusHistory */
+
+/** @returns {StatusHistory} */
+export function loadHistory() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(HISTORY_KEY) || "{}");
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/** @param {StatusHistory} history */
+export function saveHistory(history) {
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+  } catch {
+    // History is a cache; losing it on a full quota is acceptable
+  }
+}
+
+/**
+ * @param {StatusHistory} history
+ * @param {string} id
+ * @param {import("@/lib/query").ServerStatus} status
+ * @returns {StatusHistory}
+ */
+export function appendSample(history, id, status) {
+  /** @type {StatusSample} */
+  const sample = { t: status.checkedAt, ok: status.online, ms: status.latency ?? null, p: status.playersOnline ?? null };
+  const prev = history[id] || [];
+  return { ...history, [id]: [...prev, sample].slice(-MAX_SAMPLES) };
+}
+
+/**
+ * Share of successful checks in the stored window, 0–100, or null if never checked.
+ * @param {StatusSample[]=} samples
+ */
+export function uptime(samples) {
+  if (!samples?.length) return null;
+  return Math.round((samples.filter((s) => s.ok).length / samples.length) * 100);
+}
+
+/**
+ * @param {StatusSample[]=} samples
+ * @returns {StatusSample|null}
+ */
+export function lastSample(samples) {
+  return samples?.length ? samples[samples.length - 1] : null;
+}
+
+/**
+ * Query one server, folding failures into an offline status instead of throwing.
+ * Returns null when cancelled so the caller can skip recording it.
+ * @param {import("@/data/servers").ServerItem} s
+ * @param {{ timeout?: number, signal?: AbortSignal }} [opts]
+ * @returns {Promise<import("@/lib/query").ServerStatus|null>}
+ */
+export async function checkServer(s, { timeout = DEFAULT_TIMEOUT_MS, signal } = {}) {
+  try {
+    return await queryServer(s.url, { timeout, signal });
+  } catch (e) {
+    if (signal?.aborted) return null;
+    return {
+      online: false, motd: [], playersOnline: null, playersMax: null, players: [], icon: null,
+      latency: null, checkedAt: Date.now(), error: e?.message || String(e),
+    };
+  }
+}
+
+/**
+ * Drain `items` through at most `concurrency` concurrent workers.
+ * Stops picking up new items once `signal` aborts; in-flight workers see the same signal.
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T, signal?: AbortSignal) => Promise<void>} worker
+ * @param {{ concurrency?: number, signal?: AbortSignal }} [opts]
+ */
+export async function runQueue(items, worker, { concurrency = DEFAULT_CONCURRENCY, signal } = {}) {
+  let next = 0;
+  async function lane() {
+    while (next < items.length && !signal?.aborted) {
+      const item = items[next++];
+      await worker(item, signal);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+}
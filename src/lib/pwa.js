@@ -0,0 +1,59 @@
+/**
+ * Installable/offline support: service worker registration and opt-in notifications.
+ * The worker itself is public/sw.js.
+ */
+
+export const NOTIFY_KEY = "eaglercraft-notify";
+
+const BASE = import.meta.env?.BASE_URL || "/";
+
+/** Production builds only: in dev the worker would cache Vite's unbundled modules */
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !import.meta.env?.PROD) return;
+  window.addEventListener("load", () => {
+    // Without a worker the app still works, just not offline; nothing to tell the user
+    navigator.serviceWorker.register(`${BASE}sw.js`, { scope: BASE }).catch(() => {});
+  });
+}
+
+export function notificationsSupported() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+/** Opted in here and permission still granted (it can be revoked from browser settings) */
+export function notificationsEnabled() {
+  return notificationsSupported() && Notification.permission === "granted" && localStorage.getItem(NOTIFY_KEY) === "1";
+}
+
+/**
+ * Ask for permission if needed and remember the choice.
+ * @returns {Promise<boolean>} Whether notifications are now on
+ */
+export async function enableNotifications() {
+  if (!notificationsSupported()) return false;
+  const permission = Notification.permission === "default" ? await Notification.requestPermission() : Notification.permission;
+  if (permission !== "granted") return false;
+  localStorage.setItem(NOTIFY_KEY, "1");
+  return true;
+}
+
+export function disableNotifications() {
+  localStorage.removeItem(NOTIFY_KEY);
+}
+
+/**
+ * Show a notification that opens `url` when clicked. Goes through the service worker when there
+ * is one (required on Android, where `new Notification` throws).
+ * @param {{ title: string, body: string, tag: string, url: string }} n
+ */
+export async function notify({ title, body, tag, url }) {
+  if (!notificationsEnabled()) return;
+  const options = { body, tag, icon: `${BASE}icons/icon-192.png`, data: { url } };
+  const reg = await navigator.serviceWorker?.getRegistration();
+  if (reg) return reg.showNotification(title, options);
+  const n = new Notification(title, options);
+  n.onclick = () => {
+    window.focus();
+    location.href = url;
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * Eaglercraft status query ("MOTD query") over WebSocket.
+ *
+ * Both EaglercraftX (1.8, EaglerXBungee/EaglerXVelocity) and Eaglercraft 1.5.2 (EaglerBungee)
+ * answer a plain text frame of the form `Accept: MOTD` with a JSON text frame:
+ *
+ *   { "name": "...", "brand": "...", "vers": "...", "cracked": true, "time": 0, "uuid": "...",
+ *     "type": "motd", "data": { "motd": ["line 1", "line 2"], "icon": true, "online": 3, "max": 60, "players": [] } }
+ *
+ * When `data.icon` is `true` the server follows up with one binary frame holding the 64x64 icon as raw RGBA.
+ * Some forks send the icon inline as a base64 string instead; both are handled.
+ *
+ * WHY a real query instead of "did the socket open":
+ * - Dead proxies, CDNs and unrelated WebSocket services all accept connections; only an Eagler server answers the query.
+ */
+
+export const ICON_SIZE = 64;
+const ICON_BYTES = ICON_SIZE * ICON_SIZE * 4;
+const QUERY_REQUEST = "Accept: MOTD";
+const ICON_GRACE_MS = 1500;
+
+/**
+ * @typedef {Object} ServerStatus
+ * @property {boolean} online
+ * @property {string[]} motd - MOTD lines, formatting codes preserved (see stripFormatting)
+ * @property {number|null} playersOnline
+ * @property {number|null} playersMax
+ * @property {string[]} players - Player name sample, if the server shares one
+ * @property {string=} serverName
+ * @property {string=} brand
+ * @property {string=} version
+ * @property {boolean=} cracked
+ * @property {string|null} icon - base64 data: URL, or null when the server has no icon
+ * @property {number|null} latency - Round trip of the query in ms
+ * @property {number} checkedAt - Epoch ms
+ * @property {string=} error - Reason when offline
+ */
+
+/**
+ * Parse the JSON text frame a server sends in reply to `Accept: MOTD`.
+ * Throws when the frame is not a query response, so callers can tell an Eagler server from any other WebSocket.
+ * @param {string} text
+ */
+export function parseQueryResponse(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error("Not a query response");
+  }
+  if (!json || typeof json !== "object" || typeof json.type !== "string") throw new Error("Not a query response");
+  const type = json.type.toLowerCase();
+  if (type === "blocked") throw new Error("Query blocked by server");
+  if (!type.startsWith("motd")) throw new Error(`Unexpected query type "${json.type}"`);
+
+  const data = json.data && typeof json.data === "object" ? json.data : {};
+  let motd = [];
+  if (Array.isArray(data.motd)) motd = data.motd.map((l) => String(l ?? ""));
+  else if (typeof data.motd === "string") motd = data.motd.split("\n");
+
+  return {
+    serverName: typeof json.name === "string" ? json.name : undefined,
+    brand: typeof json.brand === "string" ? json.brand : undefined,
+    version: typeof json.vers === "string" ? json.vers : undefined,
+    cracked: typeof json.cracked === "boolean" ? json.cracked : undefined,
+    motd: motd.slice(0, 2),
+    playersOnline: Number.isFinite(data.online) ? data.online : null,
+    playersMax: Number.isFinite(data.max) ? data.max : null,
+    players: Array.isArray(data.players) ? data.players.map(String) : [],
+    // true => a binary frame follows; string => inline base64
+    iconPending: data.icon === true && type !== "motd.noicon",
+    icon: typeof data.icon === "string" ? toIconDataURL(data.icon) : null,
+  };
+}
+
+/**
+ * @param {string} b64 - data: URL, bare base64 PNG, or bare base64 RGBA pixels
+ * @returns {string|null}
+ */
+function toIconDataURL(b64) {
+  if (b64.startsWith("data:image/")) return b64;
+  if (b64.startsWith("iVBOR")) return `data:image/png;base64,${b64}`;
+  try {
+    const bin = atob(b64);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return decodeIconFrame(bytes);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Convert the 64x64 RGBA icon frame into a base64 PNG data: URL.
+ * Returns null for frames of the wrong size or where no canvas is available (e.g. outside the browser).
+ * @param {ArrayBuffer|Uint8Array} frame
+ * @returns {string|null}
+ */
+export function decodeIconFrame(frame) {
+  const bytes = frame instanceof Uint8Array ? frame : new Uint8Array(frame);
+  if (bytes.length !== ICON_BYTES) return null;
+  if (typeof document === "undefined") return null;
+  const canvas = document.createElement("canvas");
+  canvas.width = ICON_SIZE;
+  canvas.height = ICON_SIZE;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return null;
+  ctx.putImageData(new ImageData(new Uint8ClampedArray(bytes), ICON_SIZE, ICON_SIZE), 0, 0);
+  return canvas.toDataURL("image/png");
+}
+
+/**
+ * Strip Minecraft `§x` formatting codes from a MOTD line.
+ * @param {string} line
+ */
+export function stripFormatting(line) {
+  return String(line || "").replace(/§[0-9a-fk-or]/gi, "");
+}
+
+/**
+ * Run a status query against one server.
+ * Resolves with an online ServerStatus; rejects with an Error if the socket fails, times out,
+ * or the endpoint does not speak the query protocol.
+ * @param {string} url - wss:// endpoint
+ * @param {{ timeout?: number, signal?: AbortSignal }} [opts]
+ * @returns {Promise<ServerStatus>}
+ */
+export function queryServer(url, { timeout = 5000, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error("Cancelled"));
+    let ws;
+    let sentAt = 0;
+    let result = null;
+    let settled = false;
+    let iconTimer = null;
+
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(iconTimer);
+      signal?.removeEventListener("abort", onAbort);
+      try { ws?.close(); } catch {}
+      if (err) reject(err);
+      else resolve(result);
+    };
+    const onAbort = () => finish(new Error("Cancelled"));
+    const timer = setTimeout(() => {
+      // The icon is optional: if the MOTD already arrived, report it without one
+      if (result) finish();
+      else finish(new Error("Timed out"));
+    }, timeout);
+    signal?.addEventListener("abort", onAbort);
+
+    try {
+      ws = new WebSocket(url);
+    } catch (e) {
+      return finish(e instanceof Error ? e : new Error(String(e)));
+    }
+    ws.binaryType = "arraybuffer";
+    ws.onopen = () => {
+      sentAt = performance.now();
+      ws.send(QUERY_REQUEST);
+    };
+    ws.onmessage = (ev) => {
+      if (settled) return;
+      if (typeof ev.data === "string") {
+        if (result) return;
+        let parsed;
+        try {
+          parsed = parseQueryResponse(ev.data);
+        } catch (e) {
+          return finish(e);
+        }
+        const { iconPending, ...rest } = parsed;
+        result = {
+          ...rest,
+          online: true,
+          latency: Math.round(performance.now() - sentAt),
+          checkedAt: Date.now(),
+        };
+        if (!iconPending) return finish();
+        iconTimer = setTimeout(() => finish(), ICON_GRACE_MS);
+      } else if (result) {
+        result.icon = decodeIconFrame(ev.data);
+        finish();
+      } else {
+        // Binary before the JSON reply: a login-only server (or something else entirely)
+        finish(new Error("Not a query response"));
+      }
+    };
+    ws.onerror = () => finish(result ? undefined : new Error("Unreachable"));
+    ws.onclose = () => finish(result ? undefined : new Error("Closed without a query response"));
+  });
+}
@@ -0,0 +1,28 @@
+/**
+ * Hash routes, so deep links work under any Pages base path without server rewrites:
+ *
+ *   #/server/<id>   detail view for one server (feed ids contain "/", hence the encoding)
+ *
+ * Anything else (no hash, `#share=…`) is the directory itself.
+ */
+
+/** @typedef {{ name: "server", id: string }} Route */
+
+/**
+ * @param {string} hash - location.hash
+ * @returns {Route|null}
+ */
+export function parseRoute(hash) {
+  const m = /^#\/server\/(.+)$/.exec(hash || "");
+  if (!m) return null;
+  try {
+    return { name: "server", id: decodeURIComponent(m[1]) };
+  } catch {
+    return null;
+  }
+}
+
+/** @param {string} id */
+export function serverHref(id) {
+  return `#/server/${encodeURIComponent(id)}`;
+}
@@ -0,0 +1,289 @@
+/**
+ * Search engine for the directory: typo-tolerant, field-aware and ranked.
+ *
+ * Query syntax:
+ *   sky pvp               free terms; every term must match some field (name, host, tags, description, region, source)
+ *   tag:pvp region:eu     field operators (tag, region, source, name, host); values match by prefix, case-insensitive
+ *   -tag:anarchy -cracked a leading "-" excludes
+ *   "one block"           quotes keep spaces inside a term or value
+ *
+ * Free terms match as substrings first; failing that, a word within a small edit distance
+ * (1 typo from 4 letters, 2 from 8) still matches at a lower score.
+ *
+ * Matching runs against an index (buildIndex) holding each server's lowercased fields and word
+ * positions, so a keystroke doesn't re-tokenise every server. Typo matching compares a term with
+ * the index's vocabulary of distinct words once, not with every word of every server.
+ * See lib/filter for the full pipeline.
+ */
+
+/** @typedef {[number, number]} Range - [start, end) into the field's text */
+
+/**
+ * @typedef {Object} ParsedSearch
+ * @property {string[]} terms
+ * @property {string[]} excludeTerms
+ * @property {{ field: string, value: string, negate: boolean }[]} filters
+ */
+
+/**
+ * @typedef {Object} IndexedText
+ * @property {string} lower
+ * @property {{ word: string, index: number }[]} words
+ */
+
+/**
+ * @typedef {Object} IndexEntry
+ * @property {import("@/data/servers").ServerItem} s
+ * @property {Record<"name"|"url"|"tags"|"short"|"region"|"source", IndexedText>} fields
+ * @property {string} host - Lowercased address without its scheme
+ * @property {string[]} tags - Lowercased
+ * @property {number} nameRank - Position in name order, so sorting by name is an integer compare
+ */
+
+/**
+ * @typedef {Object} SearchIndex
+ * @property {IndexEntry[]} entries
+ * @property {string[]} vocabulary - Every distinct word in the entries
+ * @property {Map<string, Map<string, number>>} near - Per term: vocabulary words within tolerance, with their distance
+ * @property {Intl.Collator} collator - Orders names (nameRank) and other text sorts for the UI language
+ */
+
+/**
+ * @typedef {Object} SearchMatch
+ * @property {number} score
+ * @property {Partial<Record<"name"|"url"|"short", Range[]>>} ranges - For highlighting
+ */
+
+export const SEARCH_FIELDS = ["tag", "region", "source", "name", "host"];
+
+/** Free-term weights: a hit in the name counts more than one in the description */
+const WEIGHTS = { name: 3, url: 2, tags: 2, short: 1, region: 1, source: 1 };
+const FIELD_KEYS = Object.keys(WEIGHTS);
+
+/**
+ * @param {string} q
+ * @returns {ParsedSearch}
+ */
+export function parseSearch(q) {
+  /** @type {ParsedSearch} */
+  const out = { terms: [], excludeTerms: [], filters: [] };
+  const re = /(-?)(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+  let m;
+  while ((m = re.exec(q))) {
+    const negate = m[1] === "-";
+    const field = m[2]?.toLowerCase();
+    const value = (m[3] ?? m[4] ?? "").toLowerCase();
+    if (!value) continue;
+    if (field && SEARCH_FIELDS.includes(field)) out.filters.push({ field, value, negate });
+    else {
+      // An unknown "foo:bar" is just text
+      const term = field ? `${m[2]}:${value}`.toLowerCase() : value;
+      (negate ? out.excludeTerms : out.terms).push(term);
+    }
+  }
+  return out;
+}
+
+/** @param {ParsedSearch} p */
+export function isEmptySearch(p) {
+  return !p.terms.length && !p.excludeTerms.length && !p.filters.length;
+}
+
+/**
+ * Optimal string alignment distance, giving up once it exceeds `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) v = Math.min(v, prev2[j - 2] + 1);
+      cur.push(v);
+      rowMin = Math.min(rowMin, v);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** Letters (any script, with their combining accents) and digits, so Cyrillic and accented names split into words too */
+const WORD = /[\p{L}\p{M}\p{N}]+/gu;
+const WORD_CHAR = /[\p{L}\p{M}\p{N}]/u;
+
+function tolerance(term) {
+  return term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+}
+
+/**
+ * @param {string=} text
+ * @returns {IndexedText}
+ */
+export function indexText(text) {
+  const lower = (text || "").toLowerCase();
+  return { lower, words: Array.from(lower.matchAll(WORD), (w) => ({ word: w[0], index: w.index })) };
+}
+
+/**
+ * @param {import("@/data/servers").ServerItem} s
+ * @returns {IndexEntry}
+ */
+export function indexServer(s) {
+  const tags = (s.tags || []).map((t) => t.toLowerCase());
+  return {
+    s,
+    fields: {
+      name: indexText(s.name),
+      url: indexText(s.url),
+      tags: indexText(tags.join(" ")),
+      short: indexText(s.short),
+      region: indexText(s.region),
+      source: indexText(s.source || "community"),
+    },
+    host: s.url.replace(/^wss?:\/\//, "").toLowerCase(),
+    tags,
+    nameRank: 0,
+  };
+}
+
+/**
+ * @param {import("@/data/servers").ServerItem[]} servers
+ * @param {string=} locale - BCP 47 tag for sorting; the runtime's default when omitted
+ * @returns {SearchIndex}
+ */
+export function buildIndex(servers, locale) {
+  const entries = servers.map(indexServer);
+  const collator = new Intl.Collator(locale);
+  [...entries].sort((a, b) => collator.compare(a.s.name, b.s.name)).forEach((e, i) => { e.nameRank = i; });
+  const vocabulary = new Set();
+  for (const e of entries) for (const f of Object.values(e.fields)) for (const w of f.words) vocabulary.add(w.word);
+  return { entries, vocabulary: [...vocabulary], near: new Map(), collator };
+}
+
+/** Terms cached per index; plenty for a session of typing */
+const NEAR_CACHE_SIZE = 200;
+
+/**
+ * Vocabulary words a term could be a typo of, with their edit distance.
+ * @param {SearchIndex} index
+ * @param {string} term
+ * @returns {Map<string, number>}
+ */
+export function nearWords(index, term) {
+  let near = index.near.get(term);
+  if (near) return near;
+  near = new Map();
+  const tol = tolerance(term);
+  if (tol) {
+    for (const word of index.vocabulary) {
+      // Compare against the whole word and against its prefix, so half-typed words still match
+      const d = Math.min(editDistance(term, word, tol), editDistance(term, word.slice(0, term.length), tol));
+      if (d <= tol) near.set(word, d);
+    }
+  }
+  if (index.near.size >= NEAR_CACHE_SIZE) index.near.clear();
+  index.near.set(term, near);
+  return near;
+}
+
+/**
+ * Match one lowercase term against a piece of indexed text.
+ * @param {string} term
+ * @param {IndexedText} text
+ * @param {Map<string, number>} near - From nearWords
+ * @returns {{ score: number, range: Range } | null}
+ */
+export function matchTerm(term, { lower, words }, near) {
+  if (!lower) return null;
+  const idx = lower.indexOf(term);
+  if (idx !== -1) {
+    const atWord = idx === 0 || !WORD_CHAR.test(lower[idx - 1]);
+    return { score: atWord ? 1.5 : 1, range: [idx, idx + term.length] };
+  }
+  if (!near.size) return null;
+  let best = null;
+  for (const { word, index } of words) {
+    const d = near.get(word);
+    if (d != null && (!best || d < best.d)) best = { d, range: [index, index + word.length] };
+  }
+  return best ? { score: 0.6 - 0.2 * best.d, range: best.range } : null;
+}
+
+/** @param {IndexEntry} e */
+function fieldFilter(e, { field, value }) {
+  switch (field) {
+    case "tag": return e.tags.some((t) => t.startsWith(value));
+    case "region": return e.fields.region.lower.startsWith(value);
+    case "source": return e.fields.source.lower.startsWith(value);
+    case "name": return e.fields.name.lower.includes(value);
+    case "host": return e.host.includes(value);
+    default: return true;
+  }
+}
+
+/**
+ * Match an indexed server against a parsed query.
+ * @param {IndexEntry} e
+ * @param {ParsedSearch} p
+ * @param {SearchIndex} index - The index `e` belongs to
+ * @returns {SearchMatch|null} null when the server is filtered out
+ */
+export function matchServer(e, p, index) {
+  for (const f of p.filters) if (fieldFilter(e, f) === f.negate) return null;
+
+  const { fields } = e;
+  for (const t of p.excludeTerms) {
+    for (const key of FIELD_KEYS) if (fields[key].lower.includes(t)) return null;
+  }
+
+  /** @type {SearchMatch} */
+  const match = { score: 0, ranges: {} };
+  for (const term of p.terms) {
+    const near = nearWords(index, term);
+    let best = 0;
+    for (const key of FIELD_KEYS) {
+      const m = matchTerm(term, fields[key], near);
+      if (!m) continue;
+      best = Math.max(best, m.score * WEIGHTS[key]);
+      if (key === "name" || key === "url" || key === "short") (match.ranges[key] ||= []).push(m.range);
+    }
+    if (!best) return null;
+    match.score += best;
+  }
+  return match;
+}
+
+/**
+ * Split text into plain and highlighted parts for rendering.
+ * @param {string} text
+ * @param {Range[]=} ranges
+ * @returns {{ text: string, hit: boolean }[]}
+ */
+export function highlightParts(text, ranges) {
+  if (!text || !ranges?.length) return [{ text: text || "", hit: false }];
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const r of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push([...r]);
+  }
+  const parts = [];
+  let pos = 0;
+  for (const [a, b] of merged) {
+    if (a > pos) parts.push({ text: text.slice(pos, a), hit: false });
+    parts.push({ text: text.slice(a, b), hit: true });
+    pos = b;
+  }
+  if (pos < text.length) parts.push({ text: text.slice(pos), hit: false });
+  return parts;
+}
@@ -0,0 +1,287 @@
+/**
+ * Versioned, validated persistence for the server list.
+ *
+ * Stored shape (the "envelope"):
+ *   { version, servers, deletedSeedIds, groups, updatedAt }
+ *
+ * - Older layouts are brought forward by MIGRATIONS, one version at a time.
+ * - Every ServerItem is validated on load; entries that fail are kept in a backup, never dropped silently.
+ * - A blob that can't be read at all is copied to a backup key before the seeds take over.
+ * - When localStorage runs out of quota the envelope moves to IndexedDB and a small pointer stays behind.
+ */
+import { ALL_TAGS, CLIENT_VERSIONS, SEED_SERVERS } from "@/data/servers";
+import { normalizeAddress } from "@/lib/address";
+
+export const STORAGE_KEY = "eaglercraft-directory";
+export const LEGACY_STORAGE_KEY = "eaglercraft-servers-v1";
+export const BACKUP_PREFIX = "eaglercraft-directory-backup-";
+export const CURRENT_VERSION = 3;
+
+const IDB_NAME = "eaglercraft-directory";
+const IDB_STORE = "kv";
+
+/**
+ * @typedef {Object} DirectoryEnvelope
+ * @property {number} version
+ * @property {import("@/data/servers").ServerItem[]} servers
+ * @property {string[]} deletedSeedIds - Seeds the user removed; not merged back on load
+ * @property {import("@/data/servers").ServerGroup[]} groups - User-defined groups, referenced by ServerItem.groups
+ * @property {number} updatedAt - Epoch ms
+ */
+
+/**
+ * @typedef {Object} LoadResult
+ * @property {DirectoryEnvelope} envelope
+ * @property {{ item: any, reason: string }[]} rejected - Entries that failed validation (also backed up)
+ * @property {string|null} backupKey - Set when something was backed up during this load
+ * @property {string=} error - Why the stored list as a whole couldn't be read (it is then in backupKey)
+ * @property {"localStorage"|"indexeddb"} backend
+ */
+
+// ------------------------------
+// Validation
+// ------------------------------
+
+/**
+ * Validate and normalise one stored/imported entry.
+ * The URL is canonicalised (see lib/address) and unknown tags are dropped, both with warnings;
+ * wrong types or an unusable address reject the entry.
+ * @param {any} raw
+ * @returns {{ ok: true, server: import("@/data/servers").ServerItem, warnings: string[] } | { ok: false, reason: string }}
+ */
+export function validateServer(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { ok: false, reason: "Not an object" };
+  if (typeof raw.id !== "string" || !raw.id.trim()) return { ok: false, reason: "Missing id" };
+  if (typeof raw.name !== "string" || !raw.name.trim()) return { ok: false, reason: "Missing name" };
+  if (typeof raw.url !== "string") return { ok: false, reason: "Missing URL" };
+  const address = normalizeAddress(raw.url);
+  if (!address.ok) return { ok: false, reason: address.reason };
+  if (raw.tags != null && !Array.isArray(raw.tags)) return { ok: false, reason: "tags must be an array" };
+  for (const key of ["short", "region", "source"]) {
+    if (raw[key] != null && typeof raw[key] !== "string") return { ok: false, reason: `${key} must be a string` };
+  }
+  if (raw.homepage != null && (typeof raw.homepage !== "string" || !/^https?:\/\/\S+$/.test(raw.homepage))) {
+    return { ok: false, reason: "homepage must be an http(s) URL" };
+  }
+  if (raw.votes != null && !Number.isFinite(raw.votes)) return { ok: false, reason: "votes must be a number" };
+  if (raw.community != null && typeof raw.community !== "boolean") return { ok: false, reason: "community must be a boolean" };
+  if (raw.favorite != null && typeof raw.favorite !== "boolean") return { ok: false, reason: "favorite must be a boolean" };
+  if (raw.notes != null && typeof raw.notes !== "string") return { ok: false, reason: "notes must be a string" };
+  if (raw.feedId != null && typeof raw.feedId !== "string") return { ok: false, reason: "feedId must be a string" };
+  if (raw.removedUpstream != null && typeof raw.removedUpstream !== "boolean") return { ok: false, reason: "removedUpstream must be a boolean" };
+  if (raw.groups != null && (!Array.isArray(raw.groups) || raw.groups.some((g) => typeof g !== "string"))) {
+    return { ok: false, reason: "groups must be an array of group ids" };
+  }
+  if (raw.clientVersions != null && !Array.isArray(raw.clientVersions)) return { ok: false, reason: "clientVersions must be an array" };
+  if (raw.overrides != null && (!Array.isArray(raw.overrides) || raw.overrides.some((f) => typeof f !== "string"))) {
+    return { ok: false, reason: "overrides must be an array of field names" };
+  }
+
+  const warnings = [...address.warnings];
+  const tags = [];
+  for (const t of raw.tags || []) {
+    if (ALL_TAGS.includes(t)) { if (!tags.includes(t)) tags.push(t); }
+    else warnings.push(`Unknown tag "${t}" dropped`);
+  }
+  const versions = [];
+  for (const v of raw.clientVersions || []) {
+    if (CLIENT_VERSIONS.includes(v)) { if (!versions.includes(v)) versions.push(v); }
+    else warnings.push(`Unknown client version "${v}" dropped`);
+  }
+  return { ok: true, server: { ...raw, id: raw.id.trim(), name: raw.name.trim(), url: address.url, tags, clientVersions: versions.length ? versions : undefined }, warnings };
+}
+
+/**
+ * @param {any} groups
+ * @returns {import("@/data/servers").ServerGroup[]}
+ */
+export function validateGroups(groups) {
+  if (!Array.isArray(groups)) return [];
+  const seen = new Set();
+  return groups.filter((g) => {
+    const ok = g && typeof g.id === "string" && typeof g.name === "string" && g.name.trim() && !seen.has(g.id);
+    if (ok) seen.add(g.id);
+    return ok;
+  }).map((g) => ({ id: g.id, name: g.name.trim() }));
+}
+
+// ------------------------------
+// Migrations
+// ------------------------------
+
+/** Each entry upgrades data stored at version N to version N + 1. */
+const MIGRATIONS = {
+  // v1 -> v2: v1 was a bare ServerItem[] with seeds always merged back in
+  1: (servers) => ({
+    version: 2,
+    servers: Array.isArray(servers) ? servers : [],
+    deletedSeedIds: [],
+    updatedAt: Date.now(),
+  }),
+  // v2 -> v3: user-defined groups
+  2: (env) => ({ ...env, version: 3, groups: [] }),
+};
+
+/**
+ * @param {any} data - Parsed stored value of any known version
+ * @returns {DirectoryEnvelope}
+ */
+export function migrate(data) {
+  let version = Array.isArray(data) ? 1 : data?.version;
+  if (!Number.isInteger(version)) throw new Error("Unrecognised storage format");
+  if (version > CURRENT_VERSION) throw new Error(`Stored data is from a newer version (${version})`);
+  while (version < CURRENT_VERSION) {
+    data = MIGRATIONS[version](data);
+    version = data.version;
+  }
+  if (!Array.isArray(data.servers)) throw new Error("Envelope has no servers array");
+  return {
+    version,
+    servers: data.servers,
+    deletedSeedIds: Array.isArray(data.deletedSeedIds) ? data.deletedSeedIds.filter((x) => typeof x === "string") : [],
+    groups: validateGroups(data.groups),
+    updatedAt: Number.isFinite(data.updatedAt) ? data.updatedAt : Date.now(),
+  };
+}
+
+/**
+ * Add seeds the user hasn't seen or deleted yet.
+ * @param {import("@/data/servers").ServerItem[]} servers
+ * @param {string[]} deletedSeedIds
+ */
+export function mergeSeeds(servers, deletedSeedIds) {
+  const byId = new Map(servers.map((s) => [s.id, s]));
+  for (const s of SEED_SERVERS) if (!byId.has(s.id) && !deletedSeedIds.includes(s.id)) byId.set(s.id, s);
+  return [...byId.values()];
+}
+
+/** @returns {DirectoryEnvelope} */
+function freshEnvelope() {
+  return { version: CURRENT_VERSION, servers: [...SEED_SERVERS], deletedSeedIds: [], groups: [], updatedAt: Date.now() };
+}
+
+// ------------------------------
+// IndexedDB fallback
+// ------------------------------
+function idbOpen() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB unavailable"));
+    const req = indexedDB.open(IDB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function idbRequest(mode, fn) {
+  const db = await idbOpen();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(IDB_STORE, mode);
+      const req = fn(tx.objectStore(IDB_STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+const idbGet = (key) => idbRequest("readonly", (store) => store.get(key));
+const idbPut = (key, value) => idbRequest("readwrite", (store) => store.put(value, key));
+
+function isQuotaError(e) {
+  return e instanceof DOMException && (e.name === "QuotaExceededError" || e.name === "NS_ERROR_DOM_QUOTA_REACHED" || e.code === 22 || e.code === 1014);
+}
+
+/** Written to localStorage once the envelope lives in IndexedDB */
+function isPointer(data) {
+  return data && typeof data === "object" && data.backend === "indexeddb";
+}
+
+/**
+ * Keep a copy of data we couldn't use. Falls back to IndexedDB when localStorage is full.
+ * @param {string} text
+ * @returns {Promise<string>} The backup key
+ */
+async function backup(text) {
+  const key = `${BACKUP_PREFIX}${Date.now()}`;
+  try {
+    localStorage.setItem(key, text);
+  } catch (e) {
+    if (!isQuotaError(e)) throw e;
+    await idbPut(key, text);
+  }
+  return key;
+}
+
+// ------------------------------
+// Public API
+// ------------------------------
+
+/** @returns {Promise<LoadResult>} */
+export async function loadDirectory() {
+  let backend = "localStorage";
+  let raw = localStorage.getItem(STORAGE_KEY);
+  let rawKey = STORAGE_KEY;
+  if (raw == null) {
+    raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+    rawKey = LEGACY_STORAGE_KEY;
+  }
+  if (raw == null) return { envelope: freshEnvelope(), rejected: [], backupKey: null, backend };
+
+  let envelope;
+  try {
+    let data = JSON.parse(raw);
+    if (isPointer(data)) {
+      backend = "indexeddb";
+      raw = await idbGet(STORAGE_KEY);
+      if (typeof raw !== "string") throw new Error("IndexedDB copy missing");
+      data = JSON.parse(raw);
+    }
+    envelope = migrate(data);
+  } catch (e) {
+    // Unreadable: keep the blob, start from seeds rather than losing it by overwriting
+    const backupKey = await backup(raw ?? "");
+    return { envelope: freshEnvelope(), rejected: [], backupKey, backend, error: `${rawKey}: ${e?.message || e}` };
+  }
+
+  const rejected = [];
+  const servers = [];
+  for (const item of envelope.servers) {
+    const res = validateServer(item);
+    if (res.ok) servers.push(res.server);
+    else rejected.push({ item, reason: res.reason });
+  }
+  const backupKey = rejected.length ? await backup(JSON.stringify(rejected)) : null;
+  return {
+    envelope: { ...envelope, servers: mergeSeeds(servers, envelope.deletedSeedIds) },
+    rejected,
+    backupKey,
+    backend,
+  };
+}
+
+/**
+ * Persist the envelope; moves to IndexedDB on quota errors and stays there.
+ * @param {Omit<DirectoryEnvelope, "version"|"updatedAt">} data
+ * @param {"localStorage"|"indexeddb"} [backend]
+ * @returns {Promise<"localStorage"|"indexeddb">} The backend that now holds the data
+ */
+export async function saveDirectory({ servers, deletedSeedIds, groups }, backend = "localStorage") {
+  const text = JSON.stringify({ version: CURRENT_VERSION, servers, deletedSeedIds, groups, updatedAt: Date.now() });
+  if (backend === "localStorage") {
+    try {
+      localStorage.setItem(STORAGE_KEY, text);
+      localStorage.removeItem(LEGACY_STORAGE_KEY);
+      return "localStorage";
+    } catch (e) {
+      if (!isQuotaError(e)) throw e;
+    }
+  }
+  await idbPut(STORAGE_KEY, text);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: CURRENT_VERSION, backend: "indexeddb", updatedAt: Date.now() }));
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  return "indexeddb";
+}
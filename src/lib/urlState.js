@@ -0,0 +1,74 @@
+/**
+ * Query-string form of the search/tag/sort/view state, e.g. `?q=sky&tags=PvP,Bedwars&sort=votes&view=table`.
+ * Excluded tags go in `notags`, and `tagmode=any` switches included tags from all-of to any-of.
+ * Defaults are left out so the bare directory URL stays clean. Only `location.search` is touched,
+ * so the Pages base path and any hash (share links, routes) are preserved.
+ */
+import { ALL_TAGS } from "@/data/servers";
+
+export const SORT_KEYS = ["relevance", "name", "favorites", "votes", "source", "ping", "players", "uptime"];
+export const VIEWS = ["grid", "table"];
+export const TAG_MODES = ["all", "any"];
+
+/**
+ * @typedef {Object} FilterState
+ * @property {string} q
+ * @property {string[]} tags - Included tags
+ * @property {string[]} excludeTags
+ * @property {"all"|"any"} tagMode - Whether a server needs every included tag or just one
+ * @property {string} sort
+ * @property {"grid"|"table"} view
+ */
+
+/** @type {FilterState} */
+export const DEFAULT_FILTERS = { q: "", tags: [], excludeTags: [], tagMode: "all", sort: "relevance", view: "grid" };
+
+function tagList(value) {
+  const tags = (value || "").split(",").map((t) => t.trim()).filter((t) => ALL_TAGS.includes(t));
+  return [...new Set(tags)];
+}
+
+/**
+ * Unknown tags, sorts and views fall back to defaults rather than producing an empty list.
+ * @param {string} search - location.search
+ * @returns {FilterState}
+ */
+export function parseQuery(search) {
+  const p = new URLSearchParams(search);
+  const tags = tagList(p.get("tags"));
+  const sort = p.get("sort");
+  const view = p.get("view");
+  const tagMode = p.get("tagmode");
+  return {
+    q: p.get("q") || "",
+    tags,
+    // A tag can't be both included and excluded; inclusion wins
+    excludeTags: tagList(p.get("notags")).filter((t) => !tags.includes(t)),
+    tagMode: TAG_MODES.includes(tagMode) ? tagMode : DEFAULT_FILTERS.tagMode,
+    sort: SORT_KEYS.includes(sort) ? sort : DEFAULT_FILTERS.sort,
+    view: VIEWS.includes(view) ? view : DEFAULT_FILTERS.view,
+  };
+}
+
+/**
+ * Rebuild the query string, keeping any parameters this module doesn't own.
+ * @param {FilterState} state
+ * @param {string} [current] - location.search to merge into
+ * @returns {string} "" or "?…"
+ */
+export function buildQuery(state, current = "") {
+  const p = new URLSearchParams(current);
+  const set = (key, value, fallback) => {
+    if (value && value !== fallback) p.set(key, value);
+    else p.delete(key);
+  };
+  set("q", state.q.trim(), "");
+  set("tags", state.tags.join(","), "");
+  set("notags", state.excludeTags.join(","), "");
+  set("tagmode", state.tagMode, DEFAULT_FILTERS.tagMode);
+  set("sort", state.sort, DEFAULT_FILTERS.sort);
+  set("view", state.view, DEFAULT_FILTERS.view);
+  // URLSearchParams encodes "," as %2C; keep tag lists readable
+  const out = p.toString().replace(/%2C/gi, ",");
+  return out ? `?${out}` : "";
+}
@@ -2,5 +2,8 @@ import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App";
 import "./index.css";
+import { registerServiceWorker } from "@/lib/pwa";
+
+registerServiceWorker();
 
 ReactDOM.createRoot(document.getElementById("root")).render(<App />);
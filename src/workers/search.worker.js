@@ -0,0 +1,24 @@
+/**
+ * Search/sort off the main thread for large lists (see LARGE_LIST in lib/filter).
+ *
+ * Messages in:
+ *   { type: "servers", servers, locale }  rebuild the index, sorting names for `locale`
+ *   { type: "stats", stats }              status summary from summarizeHistory
+ *   { type: "votes", votes }              net community votes by server id
+ *   { type: "query", id, state }          run filterServers; answered with { id, ids }
+ * Queries carry an increasing id so the page can drop answers to keystrokes it has moved past.
+ * Highlight ranges aren't sent back; the page works them out for visible rows (lazyMatches).
+ */
+import { filterServers } from "@/lib/filter";
+import { buildIndex } from "@/lib/search";
+
+let index = buildIndex([]);
+let stats = {};
+let votes = {};
+
+self.onmessage = ({ data }) => {
+  if (data.type === "servers") index = buildIndex(data.servers, data.locale);
+  else if (data.type === "stats") stats = data.stats;
+  else if (data.type === "votes") votes = data.votes;
+  else if (data.type === "query") self.postMessage({ id: data.id, ids: filterServers(index, data.state, stats, votes).ids });
+};
@@ -0,0 +1,102 @@
+/**
+ * lib/address and lib/duplicates: canonical endpoints, the LAN-only ws:// rule, and how
+ * entries for the same endpoint are found and merged.
+ */
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { register } from "node:module";
+
+register("../scripts/alias-hooks.mjs", import.meta.url);
+const { addressKey, isLanHost, normalizeAddress } = await import("@/lib/address");
+const { findDuplicates, mergeServers } = await import("@/lib/duplicates");
+
+const PUBLIC_WS = "ws:// is only allowed for local/LAN servers; public servers need wss://";
+
+describe("normalizeAddress", () => {
+  test("spellings of the same endpoint share one canonical form", () => {
+    for (const input of ["wss://Play.Example.net", "wss://play.example.net/", "wss://play.example.net:443", "  WSS://PLAY.EXAMPLE.NET:443/  "]) {
+      assert.deepEqual(normalizeAddress(input), { ok: true, url: "wss://play.example.net", warnings: [] }, input);
+    }
+  });
+
+  test("a bare host is assumed to be wss://, with a warning", () => {
+    const res = normalizeAddress("play.example.net");
+    assert.equal(res.url, "wss://play.example.net");
+    assert.deepEqual(res.warnings, ["No scheme given; assumed wss://"]);
+  });
+
+  test("paths, queries and non-default ports are kept", () => {
+    assert.equal(normalizeAddress("wss://play.example.net/path/").url, "wss://play.example.net/path");
+    assert.equal(normalizeAddress("wss://play.example.net:8443/a?b=1").url, "wss://play.example.net:8443/a?b=1");
+  });
+
+  test("ws:// is allowed for LAN hosts with a warning, and rejected for public ones", () => {
+    for (const url of ["ws://localhost:25565", "ws://192.168.1.5:8081", "ws://10.0.0.2", "ws://minecraft.lan"]) {
+      const res = normalizeAddress(url);
+      assert.equal(res.ok, true, url);
+      assert.equal(res.warnings.length, 1, url);
+    }
+    assert.deepEqual(normalizeAddress("ws://play.example.net"), { ok: false, reason: PUBLIC_WS });
+    assert.deepEqual(normalizeAddress("http://play.example.net"), { ok: false, reason: PUBLIC_WS });
+    assert.equal(normalizeAddress("").ok, false);
+  });
+});
+
+describe("isLanHost", () => {
+  test("loopback, private ranges and LAN suffixes", () => {
+    for (const h of ["localhost", "127.0.0.1", "10.1.2.3", "172.16.0.1", "172.31.255.1", "192.168.0.10", "169.254.1.1", "[::1]", "fd12:3456::1", "box.local", "router.home.arpa"]) {
+      assert.equal(isLanHost(h), true, h);
+    }
+  });
+
+  test("public hosts and addresses", () => {
+    for (const h of ["play.example.net", "8.8.8.8", "172.32.0.1", "192.169.0.1", "localhost.example.net"]) {
+      assert.equal(isLanHost(h), false, h);
+    }
+  });
+});
+
+describe("addressKey", () => {
+  test("equal for equivalent addresses, different for different endpoints", () => {
+    assert.equal(addressKey("wss://Play.Example.net/"), addressKey("play.example.net"));
+    assert.equal(addressKey("wss://play.example.net:443"), "play.example.net:443");
+    assert.notEqual(addressKey("wss://play.example.net/a"), addressKey("wss://play.example.net/b"));
+    assert.notEqual(addressKey("wss://play.example.net:8443"), addressKey("wss://play.example.net"));
+    assert.equal(addressKey("ws://play.example.net"), null);
+  });
+});
+
+describe("duplicates", () => {
+  const primary = { id: "seed", name: "Nexo", url: "wss://nexo-app.net", source: "servers.eaglercraft.com", tags: ["PvP"], votes: 12, notes: "mine", groups: ["g1"] };
+  const feed = { id: "feed-1/nexo", name: "NexoX", url: "wss://Nexo-App.net/", source: "Example", tags: ["PvP", "Survival"], votes: 30, short: "Explore.", groups: ["g2"], favorite: true };
+  const imported = { id: "import-1", name: "nexo", url: "nexo-app.net", tags: ["Other"], notes: "from a friend", region: "EU" };
+
+  test("entries reaching the same endpoint are grouped in list order", () => {
+    const other = { id: "x", name: "X", url: "wss://other.example.net" };
+    assert.deepEqual(findDuplicates([primary, other, feed, imported]).map((g) => g.map((s) => s.id)), [["seed", "feed-1/nexo", "import-1"]]);
+  });
+
+  test("the primary keeps its id, name, URL and source", () => {
+    const merged = mergeServers(primary, [feed, imported]);
+    assert.equal(merged.id, "seed");
+    assert.equal(merged.name, "Nexo");
+    assert.equal(merged.url, "wss://nexo-app.net");
+    assert.equal(merged.source, "servers.eaglercraft.com");
+  });
+
+  test("tags, groups and notes are combined; votes are the highest, not the sum", () => {
+    const merged = mergeServers(primary, [feed, imported]);
+    assert.deepEqual(merged.tags, ["PvP", "Survival", "Other"]);
+    assert.deepEqual(merged.groups, ["g1", "g2"]);
+    assert.equal(merged.notes, "mine\n\nfrom a friend");
+    assert.equal(merged.votes, 30);
+    assert.equal(merged.favorite, true);
+  });
+
+  test("missing details come from the first other entry that has them", () => {
+    const merged = mergeServers(primary, [feed, imported]);
+    assert.equal(merged.short, "Explore.");
+    assert.equal(merged.region, "EU");
+    assert.equal(mergeServers({ ...primary, region: "NA" }, [imported]).region, "NA");
+  });
+});
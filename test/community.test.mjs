@@ -0,0 +1,120 @@
+/**
+ * lib/community's HTTP provider against the reference server (scripts/community-server.mjs),
+ * run on an ephemeral port with its data in a temp file.
+ */
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { register } from "node:module";
+import { createCommunityServer, isCanonicalKey } from "../scripts/community-server.mjs";
+
+register("../scripts/alias-hooks.mjs", import.meta.url);
+const { createHttpProvider, communityKey } = await import("@/lib/community");
+
+// clientId() keeps its token in localStorage; one store per "browser"
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (k) => (storage.has(k) ? storage.get(k) : null),
+  setItem: (k, v) => storage.set(k, String(v)),
+  removeItem: (k) => storage.delete(k),
+};
+const asNewBrowser = () => storage.clear();
+
+async function start(dataFile) {
+  const server = createCommunityServer({ dataFile });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, base: `http://127.0.0.1:${server.address().port}` };
+}
+const stop = (server) => new Promise((resolve) => server.close(resolve));
+
+const NEXO = communityKey({ url: "wss://nexo-app.net" });
+const ZENTIC = communityKey({ url: "wss://Zentic.cc/" });
+
+describe("HTTP community provider", () => {
+  let dir, run, api;
+  before(() => { dir = mkdtempSync(join(tmpdir(), "community-")); });
+  beforeEach(async () => {
+    if (run) await stop(run.server);
+    asNewBrowser();
+    run = await start(join(dir, `${Date.now()}.json`));
+    api = createHttpProvider(`${run.base}/`);
+  });
+  after(async () => {
+    await stop(run.server);
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("keys are canonical addresses", () => {
+    assert.equal(NEXO, "nexo-app.net:443");
+    assert.equal(ZENTIC, "zentic.cc:443");
+    assert.ok(isCanonicalKey(NEXO));
+  });
+
+  test("votes from several clients add up, and a client can change or withdraw its vote", async () => {
+    assert.deepEqual(await api.vote(NEXO, 1), { up: 1, down: 0, reports: 0, reasons: {} });
+    asNewBrowser();
+    assert.deepEqual(await api.vote(NEXO, -1), { up: 1, down: 1, reports: 0, reasons: {} });
+    assert.deepEqual(await api.myVotes(), { [NEXO]: -1 });
+    assert.deepEqual(await api.vote(NEXO, 1), { up: 2, down: 0, reports: 0, reasons: {} });
+    assert.deepEqual(await api.vote(NEXO, 0), { up: 1, down: 0, reports: 0, reasons: {} });
+    assert.deepEqual(await api.myVotes(), {});
+    assert.deepEqual(await api.counts(), { [NEXO]: { up: 1, down: 0, reports: 0, reasons: {} } });
+  });
+
+  test("a new report replaces the client's previous one", async () => {
+    await api.report(ZENTIC, "broken");
+    const counts = await api.report(ZENTIC, "offensive", "  rude name  ");
+    assert.deepEqual(counts, { up: 0, down: 0, reports: 1, reasons: { offensive: 1 } });
+    asNewBrowser();
+    assert.deepEqual((await api.report(ZENTIC, "broken")).reasons, { offensive: 1, broken: 1 });
+  });
+
+  test("bad input comes back as the server's error", async () => {
+    await assert.rejects(api.vote(NEXO, 2), /value must be 1, -1 or 0/);
+    await assert.rejects(api.report(NEXO, "spam"), /reason must be one of/);
+    await assert.rejects(api.vote("Nexo-App.net", 1), /Bad server key/);
+  });
+
+  test("keys that aren't addresses can't reach the store's prototype", async () => {
+    for (const key of ["__proto__", "constructor", "prototype", "hasOwnProperty"]) {
+      await assert.rejects(api.vote(key, 1), /Bad server key/);
+      await assert.rejects(api.report(key, "other"), /Bad server key/);
+    }
+    assert.deepEqual(await api.counts(), {});
+  });
+
+  test("a store holding __proto__ keys loads as plain data", async () => {
+    await stop(run.server);
+    const file = join(dir, "poisoned.json");
+    writeFileSync(file, '{"votes":{"__proto__":{"polluted":1}},"reports":{}}');
+    run = await start(file);
+    api = createHttpProvider(run.base);
+    assert.equal({}.polluted, undefined);
+    assert.deepEqual(Object.keys(await api.counts()), ["__proto__"]);
+  });
+
+  test("writes are rate-limited with Retry-After", async () => {
+    for (let i = 0; i < 20; i++) await api.vote(NEXO, i % 2 ? 1 : -1);
+    await assert.rejects(api.vote(NEXO, 1), (err) => {
+      assert.match(err.message, /Too many votes or reports\. Try again in \d+ s\./);
+      // The wait the UI words in the reader's language
+      assert.ok(err.retryAfter > 0);
+      return true;
+    });
+  });
+
+  test("data survives a restart", async () => {
+    const file = join(dir, "persist.json");
+    await stop(run.server);
+    run = await start(file);
+    api = createHttpProvider(run.base);
+    await api.vote(NEXO, 1);
+    await stop(run.server);
+    assert.deepEqual(Object.keys(JSON.parse(readFileSync(file, "utf8")).votes), [NEXO]);
+    run = await start(file);
+    api = createHttpProvider(run.base);
+    assert.deepEqual(await api.myVotes(), { [NEXO]: 1 });
+  });
+});
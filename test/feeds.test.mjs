@@ -0,0 +1,156 @@
+/**
+ * lib/feeds against a static-file stand-in: a tiny HTTP server handing out a copy of
+ * public/feeds/example.json with an ETag, the way a static host (or `vite preview`) does.
+ */
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { createServer } from "node:http";
+import { copyFileSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { register } from "node:module";
+
+register("../scripts/alias-hooks.mjs", import.meta.url);
+const { createSubscription, fetchFeed, markOverrides, parseFeed, reconcileFeed } = await import("@/lib/feeds");
+const { mergeServers } = await import("@/lib/duplicates");
+
+const EXAMPLE = new URL("../public/feeds/example.json", import.meta.url);
+
+/** Serves `dir` read-only; answers If-None-Match with 304 and counts requests by status */
+function staticHost(dir) {
+  const log = [];
+  const server = createServer((req, res) => {
+    let body;
+    try {
+      body = readFileSync(join(dir, new URL(req.url, "http://x").pathname));
+    } catch {
+      log.push(404);
+      return res.writeHead(404).end();
+    }
+    const etag = `"${createHash("sha1").update(body).digest("hex")}"`;
+    const status = req.headers["if-none-match"] === etag ? 304 : 200;
+    log.push(status);
+    res.writeHead(status, { ETag: etag, "Content-Type": "application/json" });
+    res.end(status === 304 ? undefined : body);
+  });
+  return { server, log };
+}
+
+describe("feeds", () => {
+  let dir, host, origin, sub;
+  before(async () => {
+    dir = mkdtempSync(join(tmpdir(), "feeds-"));
+    copyFileSync(EXAMPLE, join(dir, "example.json"));
+    host = staticHost(dir);
+    await new Promise((resolve) => host.server.listen(0, "127.0.0.1", resolve));
+    origin = `http://127.0.0.1:${host.server.address().port}`;
+    // The page is served from the same host, so fetchFeed sends conditional headers
+    globalThis.location = new URL(`${origin}/index.html`);
+    sub = { ...createSubscription("./example.json", "Example"), id: "feed-1" };
+  });
+  after(async () => {
+    if (host.server.listening) await new Promise((resolve) => host.server.close(resolve));
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  /** One refresh the way useFeeds does it: patch the subscription, reconcile the list */
+  async function refresh(servers, hidden = []) {
+    const res = await fetchFeed(sub);
+    sub = { ...sub, ...res.patch };
+    return { res, servers: res.servers ? reconcileFeed(servers, sub, res.servers, hidden) : servers };
+  }
+
+  let servers = [];
+
+  test("first fetch adds every listed server, namespaced by subscription", async () => {
+    const { res, servers: next } = await refresh([]);
+    assert.equal(res.fresh, true);
+    assert.ok(sub.etag);
+    assert.deepEqual(next.map((s) => s.id), ["feed-1/nexo", "feed-1/zentic", "feed-1/tuffnet"]);
+    assert.ok(next.every((s) => s.feedId === "feed-1" && s.source === "Example"));
+    servers = next;
+  });
+
+  test("an unchanged feed is a 304 and leaves the list alone", async () => {
+    const { res, servers: next } = await refresh(servers);
+    assert.equal(host.log.at(-1), 304);
+    assert.equal(res.fresh, false);
+    assert.equal(res.error, undefined);
+    assert.equal(next, servers);
+  });
+
+  test("a server the feed stops listing is flagged, not deleted", async () => {
+    const doc = JSON.parse(readFileSync(EXAMPLE, "utf8"));
+    doc.servers = doc.servers.filter((s) => s.id !== "zentic");
+    writeFileSync(join(dir, "example.json"), JSON.stringify(doc));
+    servers = servers.map((s) => (s.id === "feed-1/zentic" ? { ...s, favorite: true, notes: "mine" } : s));
+
+    const { res, servers: next } = await refresh(servers);
+    assert.equal(host.log.at(-1), 200);
+    assert.equal(res.fresh, true);
+    const zentic = next.find((s) => s.id === "feed-1/zentic");
+    assert.equal(zentic.removedUpstream, true);
+    assert.equal(zentic.favorite, true);
+    assert.equal(zentic.notes, "mine");
+    assert.equal(next.filter((s) => s.removedUpstream).length, 1);
+    servers = next;
+  });
+
+  test("a server listed again loses the flag", async () => {
+    copyFileSync(EXAMPLE, join(dir, "example.json"));
+    const { servers: next } = await refresh(servers);
+    assert.equal(next.find((s) => s.id === "feed-1/zentic").removedUpstream, undefined);
+    servers = next;
+  });
+
+  test("fields the user edited survive a refresh; the rest follow the feed", async () => {
+    const nexo = servers.find((s) => s.id === "feed-1/nexo");
+    const edited = markOverrides(nexo, { ...nexo, name: "Nexo (my name)", short: "", notes: "x" });
+    assert.deepEqual(edited.overrides, ["name", "short"]);
+    // Saving the form untouched turns undefined into "" and []: not an edit
+    assert.equal(markOverrides(nexo, { ...nexo, region: "", homepage: "" }).overrides, undefined);
+
+    const doc = JSON.parse(readFileSync(EXAMPLE, "utf8"));
+    doc.servers[0] = { ...doc.servers[0], name: "NexoX Network", short: "New blurb", tags: ["PvP"] };
+    writeFileSync(join(dir, "example.json"), JSON.stringify(doc));
+    const { servers: next } = await refresh(servers.map((s) => (s.id === nexo.id ? edited : s)));
+    const updated = next.find((s) => s.id === nexo.id);
+    assert.equal(updated.name, "Nexo (my name)");
+    assert.equal(updated.short, "");
+    assert.deepEqual(updated.tags, ["PvP"]);
+    servers = next;
+  });
+
+  test("what a feed entry gained in a merge survives a refresh", () => {
+    const tuff = servers.find((s) => s.id === "feed-1/tuffnet");
+    const copy = { id: "mine-1", name: "Tuff", url: tuff.url, tags: ["Creative"], region: "EU", votes: 99 };
+    const merged = markOverrides(tuff, mergeServers(tuff, [copy]));
+    assert.deepEqual(merged.overrides, ["tags", "region", "votes"]);
+    const { servers: listed } = parseFeed(JSON.parse(readFileSync(EXAMPLE, "utf8")), sub);
+    const next = reconcileFeed(servers.map((s) => (s.id === tuff.id ? merged : s)), sub, listed);
+    const updated = next.find((s) => s.id === tuff.id);
+    assert.deepEqual(updated.tags, ["Survival", "PvP", "Other", "Creative"]);
+    assert.equal(updated.region, "EU");
+    assert.equal(updated.votes, 99);
+  });
+
+  test("servers the user hid aren't added back", () => {
+    const withoutTuff = servers.filter((s) => s.id !== "feed-1/tuffnet");
+    const { servers: listed } = parseFeed(JSON.parse(readFileSync(EXAMPLE, "utf8")), sub);
+    const next = reconcileFeed(withoutTuff, sub, listed, ["feed-1/tuffnet"]);
+    assert.ok(!next.some((s) => s.id === "feed-1/tuffnet"));
+  });
+
+  test("offline, the last good copy is used and the error is kept", async () => {
+    await new Promise((resolve) => host.server.close(resolve));
+    const before = sub.cache;
+    const { res, servers: next } = await refresh(servers);
+    assert.ok(res.error);
+    assert.equal(res.fresh, false);
+    assert.equal(res.servers, before);
+    assert.equal(sub.lastError, res.error);
+    // Same content as last time, so nothing is flagged or changed
+    assert.equal(next, servers);
+  });
+});
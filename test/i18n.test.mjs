@@ -0,0 +1,93 @@
+/**
+ * lib/i18n and the catalogs in src/locales: every catalog complete (the same check as
+ * `npm run validate`), plural selection, placeholders and the fallback to English.
+ */
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { register } from "node:module";
+import { checkCatalog, checkLocales } from "../scripts/check-locales.mjs";
+
+register("../scripts/alias-hooks.mjs", import.meta.url);
+const { createTranslator, detectLocale, isLocale } = await import("@/lib/i18n");
+const { default: en } = await import("@/locales/en.json");
+const { default: ru } = await import("@/locales/ru.json");
+
+describe("catalogs", () => {
+  test("every catalog has every key, placeholder and plural form", () => {
+    const { problems, catalogs } = checkLocales();
+    assert.deepEqual(problems, []);
+    assert.equal(catalogs, 3);
+  });
+
+  test("the check catches missing, stale, mismatched and under-pluralised messages", () => {
+    const reference = { a: "A {name}", b: "B", c: { one: "{count} thing", other: "{count} things" } };
+    assert.deepEqual(checkCatalog("ru", { a: "А {name}", b: "Б", c: { one: "{count} вещь", few: "{count} вещи", many: "{count} вещей", other: "{count} вещи" } }, reference), []);
+    assert.deepEqual(checkCatalog("ru", { a: "А {who}", c: { one: "{count} вещь", other: "{count} вещи" }, d: "Д" }, reference), [
+      '"a" uses {who}, English has {name}',
+      'missing "b"',
+      '"c" lacks plural forms: many, few',
+      '"d" is not in en.json',
+    ]);
+    assert.deepEqual(checkCatalog("es", { a: " ", b: { one: "B", other: "B" }, c: "cosas" }, reference), [
+      '"a" is empty',
+      '"a" uses no placeholders, English has {name}',
+      '"b" should be a string',
+      '"c" should be a plural object',
+    ]);
+  });
+});
+
+describe("createTranslator", () => {
+  test("Russian picks one, few and many by count", () => {
+    const t = createTranslator("ru");
+    assert.equal(t("votes.count", { count: 1 }), "1 голос");
+    assert.equal(t("votes.count", { count: 3 }), "3 голоса");
+    assert.equal(t("votes.count", { count: 5 }), "5 голосов");
+    assert.equal(t("votes.count", { count: 11 }), "11 голосов");
+    assert.equal(t("votes.count", { count: 21 }), "21 голос");
+    assert.equal(t("votes.count", { count: 24 }), "24 голоса");
+  });
+
+  test("English has one and other; a missing count counts as zero", () => {
+    const t = createTranslator("en");
+    assert.equal(t("votes.count", { count: 1 }), "1 vote");
+    assert.equal(t("votes.count", { count: 2 }), "2 votes");
+    assert.equal(t("votes.count"), "{count} votes");
+  });
+
+  test("placeholders are filled, numbers formatted for the locale, unknown ones left alone", () => {
+    assert.equal(createTranslator("en")("ping.online", { name: "Nexo", ms: 1234 }), "Nexo: online (1,234 ms)");
+    // Russian groups thousands with a no-break space
+    assert.equal(createTranslator("ru")("votes.breakdown", { up: 1500, down: 2 }), "1 500 за, 2 против");
+    assert.equal(createTranslator("en")("ping.online", { name: "Nexo" }), "Nexo: online ({ms} ms)");
+  });
+
+  test("a key missing from a catalog falls back to English, an unknown key to itself", () => {
+    const saved = ru["votes.up"];
+    delete ru["votes.up"];
+    try {
+      assert.equal(createTranslator("ru")("votes.up"), en["votes.up"]);
+    } finally {
+      ru["votes.up"] = saved;
+    }
+    assert.equal(createTranslator("ru")("no.such.key"), "no.such.key");
+    assert.equal(createTranslator("xx")("votes.up"), en["votes.up"]);
+  });
+
+  test("tags are translated for display; unknown ones show as they are", () => {
+    const t = createTranslator("es");
+    assert.equal(t.tag("Survival"), createTranslator("es")("tags.Survival"));
+    assert.equal(t.tag("Parkour"), "Parkour");
+    assert.equal(t.locale, "es");
+  });
+});
+
+describe("locale detection", () => {
+  test("the first supported base language wins, else English", () => {
+    assert.equal(detectLocale(["de-DE", "pt-BR", "es"]), "pt");
+    assert.equal(detectLocale(["RU"]), "ru");
+    assert.equal(detectLocale(["de", "fr"]), "en");
+    assert.equal(isLocale("es"), true);
+    assert.equal(isLocale("de"), false);
+  });
+});
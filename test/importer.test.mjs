@@ -0,0 +1,172 @@
+/**
+ * lib/importer: what an import would change, and what applying it does to the existing list.
+ */
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { register } from "node:module";
+
+register("../scripts/alias-hooks.mjs", import.meta.url);
+const { applyImport, diffImport, parseImport, resolveConflict } = await import("@/lib/importer");
+const { decodeShare, encodeShare } = await import("@/lib/exporter");
+
+const EXISTING = [
+  { id: "nexo", name: "NexoX", url: "wss://nexo-app.net", tags: ["PvP", "Survival"], short: "Explore endless adventures.", region: "EU", source: "servers.eaglercraft.com", votes: 12 },
+  { id: "zentic", name: "Zentic", url: "wss://zentic.cc", tags: ["Practice"], source: "topeaglerservers.com" },
+];
+
+/** Apply with "theirs" everywhere, the wizard's default */
+const takeTheirs = (diff) => applyImport(EXISTING, diff, {});
+
+describe("formats", () => {
+  test("an Eaglercraft client's servers.dat list, with ip or addr", () => {
+    const dat = parseImport(JSON.stringify({ servers: [{ name: "Nexo", ip: "wss://nexo-app.net", hideAddress: false }, { name: "Tuff", ip: "play.tuff.tf" }] }));
+    assert.equal(dat.format, "client");
+    assert.deepEqual(dat.entries, [{ name: "Nexo", url: "wss://nexo-app.net" }, { name: "Tuff", url: "play.tuff.tf" }]);
+
+    const opts = parseImport(JSON.stringify([{ name: "Zentic", addr: "wss://zentic.cc" }]));
+    assert.equal(opts.format, "client");
+    const diff = diffImport(EXISTING, [...dat.entries, ...opts.entries]);
+    assert.deepEqual(diff.unchanged.map((s) => s.id), ["zentic"]);
+    assert.deepEqual(diff.changed[0].fields.map((f) => f.field), ["name"]);
+    assert.equal(diff.added[0].url, "wss://play.tuff.tf");
+  });
+
+  test("a plain address list skips comments, blank lines and a lone header", () => {
+    const parsed = parseImport("url\n# mine\nwss://nexo-app.net/\n\nplay.tuff.tf\n");
+    assert.equal(parsed.format, "text");
+    assert.deepEqual(parsed.entries, [{ url: "wss://nexo-app.net/" }, { url: "play.tuff.tf" }]);
+
+    const diff = diffImport(EXISTING, parsed.entries);
+    // A bare address carries no name or tags, so the existing entry isn't a conflict
+    assert.deepEqual(diff.unchanged.map((s) => s.id), ["nexo"]);
+    assert.equal(diff.added[0].name, "play.tuff.tf");
+    assert.deepEqual(diff.warnings["wss://play.tuff.tf"], ["No scheme given; assumed wss://"]);
+  });
+
+  test("directory exports bring their groups", () => {
+    const parsed = parseImport(JSON.stringify({ format: "eaglercraft-directory", servers: [], groups: [{ id: "g1", name: " Testing " }, { id: "g1", name: "Again" }] }));
+    assert.equal(parsed.format, "directory");
+    assert.deepEqual(parsed.groups, [{ id: "g1", name: "Testing" }]);
+  });
+
+  test("unusable input says why", () => {
+    assert.throws(() => parseImport("  "), /Nothing to import/);
+    assert.throws(() => parseImport("{oops"), /Invalid JSON/);
+    assert.throws(() => parseImport('{"list":[]}'), /servers array/);
+    assert.throws(() => parseImport("name,host\nNexo,nexo-app.net"), /url column/);
+  });
+});
+
+describe("diff", () => {
+  test("changed entries list each differing field with both values", () => {
+    const entries = [{ ...EXISTING[0], name: "Nexo", tags: ["Survival", "PvP"], region: "NA", votes: 20 }];
+    const [change] = diffImport(EXISTING, entries).changed;
+    assert.equal(change.mine, EXISTING[0]);
+    // Same tags in another order aren't a change
+    assert.deepEqual(change.fields, [
+      { field: "name", mine: "NexoX", theirs: "Nexo" },
+      { field: "region", mine: "EU", theirs: "NA" },
+      { field: "votes", mine: 12, theirs: 20 },
+    ]);
+  });
+
+  test("entries match by id first, then by endpoint however it's written", () => {
+    const diff = diffImport(EXISTING, [{ id: "zentic", name: "Zentic", url: "wss://zentic.cc/new" }, { name: "NexoX", url: "WSS://Nexo-App.net:443/" }]);
+    assert.deepEqual(diff.changed.map((c) => c.mine.id), ["zentic"]);
+    assert.deepEqual(diff.unchanged.map((s) => s.id), ["nexo"]);
+  });
+
+  test("invalid entries are skipped with the reason", () => {
+    const diff = diffImport(EXISTING, ["wss://x.example.net", { name: "No URL" }, { url: "ws://public.example.net" }, { url: "wss://a.example.net", votes: "many" }, { url: "a.example.net" }]);
+    assert.deepEqual(diff.invalid.map((x) => x.reason), [
+      "Not an object",
+      "Missing URL",
+      "ws:// is only allowed for local/LAN servers; public servers need wss://",
+      "Duplicate entry in this import",
+    ]);
+    assert.deepEqual(diff.added.map((s) => s.url), ["wss://a.example.net"]);
+    // A count that isn't a number is dropped rather than rejecting the entry
+    assert.equal(diff.added[0].votes, undefined);
+  });
+});
+
+describe("resolving conflicts", () => {
+  const mine = { ...EXISTING[0], notes: "mine", favorite: true, groups: ["g1"] };
+  const theirs = { name: "Nexo", url: mine.url, tags: ["Creative"], votes: 5, notes: "theirs", groups: ["g2"], short: "" };
+  const [change] = diffImport([mine], [theirs]).changed;
+
+  test("mine keeps the existing entry as it is", () => {
+    assert.equal(resolveConflict(change, "mine"), mine);
+  });
+
+  test("theirs takes every differing field but keeps the id", () => {
+    const out = resolveConflict(change, "theirs");
+    assert.equal(out.id, "nexo");
+    assert.equal(out.name, "Nexo");
+    assert.deepEqual(out.tags, ["Creative"]);
+    assert.equal(out.votes, 5);
+    assert.equal(out.notes, "theirs");
+    assert.equal(out.source, mine.source);
+  });
+
+  test("merge unions lists, keeps the higher count and both notes", () => {
+    const out = resolveConflict(change, "merge");
+    assert.equal(out.name, "Nexo");
+    assert.deepEqual(out.tags, ["PvP", "Survival", "Creative"]);
+    assert.deepEqual(out.groups, ["g1", "g2"]);
+    assert.equal(out.votes, 12);
+    assert.equal(out.notes, "mine\n\ntheirs");
+    assert.equal(out.favorite, true);
+  });
+
+  test("applying uses each server's choice and skips unticked additions", () => {
+    const diff = diffImport(EXISTING, [{ ...EXISTING[0], name: "Nexo" }, { ...EXISTING[1], name: "Zen" }, { url: "wss://a.example.net" }, { url: "wss://b.example.net" }]);
+    const next = applyImport(EXISTING, diff, { nexo: "mine" }, new Set(["wss://b.example.net"]));
+    assert.deepEqual(next.map((s) => s.name), ["NexoX", "Zen", "a.example.net"]);
+  });
+});
+
+describe("share links", () => {
+  test("servers the receiver already has keep their source", async () => {
+    const shared = [{ ...EXISTING[0], short: "Now with Skyblock." }, EXISTING[1], { name: "Tuff", url: "wss://play.tuff.tf", tags: ["Other"] }];
+    const entries = await decodeShare(await encodeShare(shared));
+    const diff = diffImport(EXISTING, parseImport(JSON.stringify(entries)).entries, { source: "shared link" });
+
+    assert.equal(diff.changed.length, 1);
+    assert.deepEqual(diff.changed[0].fields.map((f) => f.field), ["short"]);
+    assert.deepEqual(diff.unchanged.map((s) => s.id), ["zentic"]);
+    assert.equal(diff.added[0].source, "shared link");
+
+    const next = takeTheirs(diff);
+    assert.equal(next[0].source, "servers.eaglercraft.com");
+    assert.equal(next[0].short, "Now with Skyblock.");
+    assert.equal(next[1].source, "topeaglerservers.com");
+  });
+});
+
+describe("CSV", () => {
+  test("empty cells leave existing values alone", () => {
+    const csv = "name,url,tags,short,region,source,votes\nNexoX,wss://nexo-app.net,,,,,\n,wss://zentic.cc,Practice;PvP,,,,";
+    const diff = diffImport(EXISTING, parseImport(csv).entries);
+    assert.deepEqual(diff.unchanged.map((s) => s.id), ["nexo"]);
+    assert.equal(diff.changed.length, 1);
+    assert.deepEqual(diff.changed[0].fields.map((f) => f.field), ["tags"]);
+
+    const [nexo, zentic] = takeTheirs(diff);
+    assert.deepEqual(nexo, EXISTING[0]);
+    assert.equal(zentic.name, "Zentic");
+    assert.deepEqual(zentic.tags, ["Practice", "PvP"]);
+  });
+
+  test("a votes cell that isn't a number counts as empty", () => {
+    const csv = "url,votes\nwss://nexo-app.net,abc\nwss://zentic.cc, ";
+    const diff = diffImport(EXISTING, parseImport(csv).entries);
+    assert.deepEqual(diff.unchanged.map((s) => s.id), ["nexo", "zentic"]);
+  });
+
+  test("filled cells still count as changes", () => {
+    const csv = "name,url,region,votes\nNexo,wss://nexo-app.net,NA,20";
+    const [change] = diffImport(EXISTING, parseImport(csv).entries).changed;
+    assert.deepEqual(change.fields.map((f) => [f.field, f.theirs]), [["name", "Nexo"], ["region", "NA"], ["votes", 20]]);
+  });
+});
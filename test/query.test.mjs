@@ -0,0 +1,144 @@
+/**
+ * lib/query against recorded MOTD replies (test/fixtures/query) served by a local `ws` server
+ * that answers `Accept: MOTD` the way EaglerXBungee and the 1.5.2 EaglerBungee do.
+ */
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { register } from "node:module";
+import { WebSocket, WebSocketServer } from "ws";
+
+register("../scripts/alias-hooks.mjs", import.meta.url);
+const { parseQueryResponse, queryServer, stripFormatting, ICON_SIZE } = await import("@/lib/query");
+
+const fixture = (name) => readFileSync(new URL(`fixtures/query/${name}`, import.meta.url));
+const EAGLERX = fixture("eaglerx-motd.json").toString("utf8").trim();
+const EAGLER152 = fixture("eagler152-motd.json").toString("utf8").trim();
+const ICON = fixture("icon.rgba");
+
+// Node 20 has no global WebSocket, and no canvas: record what the icon decoder draws instead
+globalThis.WebSocket ??= WebSocket;
+let drawn = null;
+globalThis.ImageData ??= class ImageData {
+  constructor(data, width, height) { Object.assign(this, { data, width, height }); }
+};
+globalThis.document ??= {
+  createElement: () => ({
+    getContext: () => ({ putImageData: (img) => { drawn = img; } }),
+    toDataURL: (type) => `data:${type};base64,stub`,
+  }),
+};
+
+/**
+ * A server that replies to the query with `frames`, in order; anything else it receives is ignored.
+ * @param {(string|Buffer)[]} frames
+ */
+async function serve(frames) {
+  const wss = new WebSocketServer({ port: 0, host: "127.0.0.1" });
+  await new Promise((resolve) => wss.once("listening", resolve));
+  wss.on("connection", (socket) => {
+    socket.on("message", (msg, isBinary) => {
+      if (isBinary || msg.toString() !== "Accept: MOTD") return;
+      for (const f of frames) socket.send(f, { binary: typeof f !== "string" });
+    });
+  });
+  return { url: `ws://127.0.0.1:${wss.address().port}`, close: () => new Promise((resolve) => wss.close(resolve)) };
+}
+
+describe("parseQueryResponse", () => {
+  test("reads an EaglercraftX reply", () => {
+    const r = parseQueryResponse(EAGLERX);
+    assert.equal(r.serverName, "EaglercraftXBungee Server");
+    assert.equal(r.brand, "lax1dude");
+    assert.equal(r.version, "EaglerXBungee/1.3.1");
+    assert.equal(r.cracked, true);
+    assert.deepEqual(r.motd.map(stripFormatting), ["NexoX - Survival, PvP & Minigames", "Now on 1.8.8!"]);
+    assert.equal(r.playersOnline, 42);
+    assert.equal(r.playersMax, 200);
+    assert.deepEqual(r.players, ["Steve", "Alex", "lax1dude"]);
+    assert.equal(r.iconPending, true);
+    assert.equal(r.icon, null);
+  });
+
+  test("reads a 1.5.2 EaglerBungee reply", () => {
+    const r = parseQueryResponse(EAGLER152);
+    assert.equal(r.brand, "Eagtek");
+    assert.equal(r.version, "0.2.0");
+    assert.deepEqual(r.motd, ["§eAn Eaglercraft 1.5.2 server", ""]);
+    assert.equal(r.playersOnline, 3);
+    assert.equal(r.playersMax, 20);
+    assert.deepEqual(r.players, []);
+    assert.equal(r.iconPending, true);
+  });
+
+  test("motd.noicon means no binary frame follows", () => {
+    const json = JSON.parse(EAGLERX);
+    assert.equal(parseQueryResponse(JSON.stringify({ ...json, type: "motd.noicon" })).iconPending, false);
+  });
+
+  test("rejects anything that isn't a query reply", () => {
+    assert.throws(() => parseQueryResponse("hello"), /Not a query response/);
+    assert.throws(() => parseQueryResponse("{}"), /Not a query response/);
+    assert.throws(() => parseQueryResponse(JSON.stringify({ type: "blocked" })), /blocked/);
+    assert.throws(() => parseQueryResponse(JSON.stringify({ type: "login" })), /Unexpected query type/);
+  });
+});
+
+describe("queryServer", () => {
+  const servers = {};
+  before(async () => {
+    servers.x = await serve([EAGLERX, ICON]);
+    servers.legacy = await serve([EAGLER152, ICON]);
+    servers.noIcon = await serve([EAGLERX]);
+    servers.binaryFirst = await serve([ICON]);
+    servers.other = await serve(["HTTP/1.1 400 Bad Request"]);
+  });
+  after(() => Promise.all(Object.values(servers).map((s) => s.close())));
+
+  test("EaglercraftX: MOTD plus the binary icon frame", async () => {
+    drawn = null;
+    const status = await queryServer(servers.x.url);
+    assert.equal(status.online, true);
+    assert.equal(status.playersOnline, 42);
+    assert.equal(status.version, "EaglerXBungee/1.3.1");
+    assert.equal(typeof status.latency, "number");
+    assert.equal(status.icon, "data:image/png;base64,stub");
+    assert.equal(drawn.width, ICON_SIZE);
+    assert.deepEqual(Buffer.from(drawn.data), ICON);
+  });
+
+  test("1.5.2: MOTD plus the binary icon frame", async () => {
+    drawn = null;
+    const status = await queryServer(servers.legacy.url);
+    assert.equal(status.brand, "Eagtek");
+    assert.equal(status.playersMax, 20);
+    assert.equal(status.icon, "data:image/png;base64,stub");
+    assert.deepEqual(Buffer.from(drawn.data), ICON);
+  });
+
+  test("an icon that never arrives still reports the MOTD", async () => {
+    const status = await queryServer(servers.noIcon.url);
+    assert.equal(status.online, true);
+    assert.equal(status.icon, null);
+  });
+
+  test("binary before the reply is not a query server", async () => {
+    await assert.rejects(queryServer(servers.binaryFirst.url), /Not a query response/);
+  });
+
+  test("a WebSocket that answers something else is rejected", async () => {
+    await assert.rejects(queryServer(servers.other.url), /Not a query response/);
+  });
+
+  test("nothing listening is unreachable", async () => {
+    const { url, close } = await serve([]);
+    await close();
+    await assert.rejects(queryServer(url), /Unreachable|Closed/);
+  });
+
+  test("an aborted signal cancels the query", async () => {
+    const ctl = new AbortController();
+    ctl.abort();
+    await assert.rejects(queryServer(servers.x.url, { signal: ctl.signal }), /Cancelled/);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * lib/search and lib/filter: query syntax, field operators and negation, tri-state tag filters,
+ * highlighting, and tokenising and typo-tolerant matching beyond ASCII.
+ */
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { register } from "node:module";
+
+register("../scripts/alias-hooks.mjs", import.meta.url);
+const { buildIndex, highlightParts, indexText, matchServer, parseSearch } = await import("@/lib/search");
+const { filterServers } = await import("@/lib/filter");
+
+const SERVERS = [
+  { id: "ru", name: "Выживание Плюс", url: "wss://mc.example.ru", tags: ["Survival"], short: "Русский сервер с экономикой" },
+  { id: "es", name: "Aventúra Española", url: "wss://es.example.net", tags: ["PvP"], short: "Mundo de supervivencia" },
+  { id: "en", name: "Sky Realms", url: "wss://sky.example.net", tags: ["Skyblock"] },
+];
+const index = buildIndex(SERVERS, "en");
+const search = (q) => index.entries.filter((e) => matchServer(e, parseSearch(q), index)).map((e) => e.s.id);
+
+describe("search beyond ASCII", () => {
+  test("Cyrillic and accented text splits into words", () => {
+    assert.deepEqual(indexText("Выживание Плюс").words.map((w) => w.word), ["выживание", "плюс"]);
+    assert.deepEqual(indexText("Aventúra Española 2").words.map((w) => w.word), ["aventúra", "española", "2"]);
+    // Decomposed accents stay inside their word
+    assert.deepEqual(indexText("Espan\u0303ola").words.map((w) => w.word), ["espan\u0303ola"]);
+  });
+
+  test("substring matches in any script", () => {
+    assert.deepEqual(search("выжив"), ["ru"]);
+    assert.deepEqual(search("española"), ["es"]);
+  });
+
+  test("typos in non-Latin words still match", () => {
+    assert.deepEqual(search("выживане"), ["ru"]);
+    assert.deepEqual(search("экономикой"), ["ru"]);
+    assert.deepEqual(search("espanola"), ["es"]);
+  });
+
+  test("a hit at the start of a non-Latin word ranks above one inside it", () => {
+    const e = index.entries.find((x) => x.s.id === "ru");
+    const start = matchServer(e, parseSearch("плюс"), index).score;
+    const inside = matchServer(e, parseSearch("люс"), index).score;
+    assert.ok(start > inside);
+  });
+});
+
+const LIST = [
+  { id: "sky", name: "Sky Realms", url: "wss://sky.example.net", tags: ["Skyblock", "PvP"], region: "EU", source: "servers.eaglercraft.com", short: "One block survival" },
+  { id: "anarchy", name: "Chaos", url: "wss://chaos.example.org/mc", tags: ["Anarchy", "PvP"], region: "NA", source: "topeaglerservers.com", short: "Cracked, no rules" },
+  { id: "bw", name: "Bedwars Arena", url: "wss://bw.example.net", tags: ["Bedwars", "Minigames"], region: "EU" },
+];
+const listIndex = buildIndex(LIST, "en");
+const find = (q) => listIndex.entries.filter((e) => matchServer(e, parseSearch(q), listIndex)).map((e) => e.s.id);
+
+describe("query syntax", () => {
+  test("terms, field operators, negation and quotes", () => {
+    assert.deepEqual(parseSearch('Sky tag:PvP -region:na -cracked name:"one block" foo:bar'), {
+      terms: ["sky", "foo:bar"],
+      excludeTerms: ["cracked"],
+      filters: [
+        { field: "tag", value: "pvp", negate: false },
+        { field: "region", value: "na", negate: true },
+        { field: "name", value: "one block", negate: false },
+      ],
+    });
+  });
+
+  test("field operators match their field only; tag, region and source by prefix", () => {
+    assert.deepEqual(find("tag:pvp"), ["sky", "anarchy"]);
+    assert.deepEqual(find("tag:sky"), ["sky"]);
+    assert.deepEqual(find("region:eu"), ["sky", "bw"]);
+    assert.deepEqual(find("source:top"), ["anarchy"]);
+    assert.deepEqual(find("host:example.org/mc"), ["anarchy"]);
+    assert.deepEqual(find("name:arena"), ["bw"]);
+    // "sky" is in a name, but not in any tag
+    assert.deepEqual(find("region:na sky"), []);
+  });
+
+  test("a leading - excludes by operator or by text anywhere", () => {
+    assert.deepEqual(find("-tag:anarchy"), ["sky", "bw"]);
+    assert.deepEqual(find("pvp -cracked"), ["sky"]);
+    assert.deepEqual(find('-"one block"'), ["anarchy", "bw"]);
+  });
+
+  test("every free term has to match somewhere", () => {
+    assert.deepEqual(find("pvp eu"), ["sky"]);
+    assert.deepEqual(find("pvp minigames"), []);
+  });
+});
+
+describe("tag filters", () => {
+  const state = { q: "", tags: [], excludeTags: [], tagMode: "all", group: "all", sort: "name", status: { onlineOnly: false, hideUnreachable: false, maxLatency: null } };
+  const ids = (patch) => filterServers(listIndex, { ...state, ...patch }, {}).ids;
+
+  test("off: everything is listed", () => {
+    assert.deepEqual(ids({}), ["bw", "anarchy", "sky"]);
+  });
+
+  test("included tags need all of them, or any in any mode", () => {
+    assert.deepEqual(ids({ tags: ["PvP", "Skyblock"] }), ["sky"]);
+    assert.deepEqual(ids({ tags: ["Skyblock", "Bedwars"], tagMode: "any" }), ["bw", "sky"]);
+  });
+
+  test("excluded tags drop a server whatever else matches", () => {
+    assert.deepEqual(ids({ excludeTags: ["Anarchy"] }), ["bw", "sky"]);
+    assert.deepEqual(ids({ tags: ["PvP"], excludeTags: ["Anarchy"] }), ["sky"]);
+  });
+
+  test("a search keeps its ranking and highlight ranges", () => {
+    const res = filterServers(listIndex, { ...state, q: "sky", sort: "relevance" }, {});
+    assert.deepEqual(res.ids, ["sky"]);
+    assert.deepEqual(res.matches.get("sky").ranges, { name: [[0, 3]], url: [[6, 9]] });
+  });
+});
+
+describe("highlightParts", () => {
+  test("splits text around the ranges", () => {
+    assert.deepEqual(highlightParts("Sky Realms", [[4, 7]]), [
+      { text: "Sky ", hit: false },
+      { text: "Rea", hit: true },
+      { text: "lms", hit: false },
+    ]);
+  });
+
+  test("overlapping and unordered ranges merge into one hit", () => {
+    assert.deepEqual(highlightParts("Bedwars Arena", [[8, 13], [0, 3], [2, 7]]), [
+      { text: "Bedwars", hit: true },
+      { text: " ", hit: false },
+      { text: "Arena", hit: true },
+    ]);
+  });
+
+  test("no ranges or no text is one plain part", () => {
+    assert.deepEqual(highlightParts("Chaos", []), [{ text: "Chaos", hit: false }]);
+    assert.deepEqual(highlightParts(undefined, [[0, 1]]), [{ text: "", hit: false }]);
+  });
+});
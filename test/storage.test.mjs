@@ -0,0 +1,152 @@
+/**
+ * lib/storage: migrations, validation on load, backups of what can't be used, and the move
+ * to IndexedDB when localStorage is full. localStorage is a Map-backed stub that can be told
+ * to run out of quota; IndexedDB comes from fake-indexeddb.
+ */
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { register } from "node:module";
+import "fake-indexeddb/auto";
+
+register("../scripts/alias-hooks.mjs", import.meta.url);
+const { BACKUP_PREFIX, CURRENT_VERSION, LEGACY_STORAGE_KEY, STORAGE_KEY, loadDirectory, migrate, saveDirectory, validateServer } = await import("@/lib/storage");
+const { SEED_SERVERS } = await import("@/data/servers");
+
+const store = new Map();
+/** Longest value setItem accepts before throwing a quota error */
+let limit = Infinity;
+globalThis.localStorage = {
+  getItem: (k) => (store.has(k) ? store.get(k) : null),
+  setItem: (k, v) => {
+    if (String(v).length > limit) throw new DOMException("The quota has been exceeded.", "QuotaExceededError");
+    store.set(k, String(v));
+  },
+  removeItem: (k) => store.delete(k),
+};
+
+const MINE = { id: "mine-1", name: "My Server", url: "wss://play.example.net", tags: ["PvP"], community: true };
+const backups = () => [...store.keys()].filter((k) => k.startsWith(BACKUP_PREFIX));
+const ids = (servers) => servers.map((s) => s.id);
+
+beforeEach(() => {
+  store.clear();
+  limit = Infinity;
+  globalThis.indexedDB = new IDBFactory();
+});
+
+describe("migrations", () => {
+  test("a v1 list under the legacy key becomes a v3 envelope with the seeds merged in", async () => {
+    store.set(LEGACY_STORAGE_KEY, JSON.stringify([MINE]));
+    const res = await loadDirectory();
+    assert.equal(res.envelope.version, CURRENT_VERSION);
+    assert.deepEqual(res.envelope.groups, []);
+    assert.deepEqual(res.envelope.deletedSeedIds, []);
+    assert.deepEqual(ids(res.envelope.servers), ["mine-1", ...ids(SEED_SERVERS)]);
+    assert.equal(res.backupKey, null);
+
+    await saveDirectory(res.envelope);
+    assert.equal(store.has(LEGACY_STORAGE_KEY), false);
+    assert.equal(JSON.parse(store.get(STORAGE_KEY)).version, CURRENT_VERSION);
+  });
+
+  test("a v2 envelope gains groups and keeps the seeds the user deleted out", async () => {
+    const deleted = SEED_SERVERS[0].id;
+    store.set(STORAGE_KEY, JSON.stringify({ version: 2, servers: [MINE], deletedSeedIds: [deleted, 7], updatedAt: 1 }));
+    const { envelope } = await loadDirectory();
+    assert.equal(envelope.version, CURRENT_VERSION);
+    assert.deepEqual(envelope.groups, []);
+    assert.deepEqual(envelope.deletedSeedIds, [deleted]);
+    assert.equal(envelope.updatedAt, 1);
+    assert.ok(!ids(envelope.servers).includes(deleted));
+  });
+
+  test("unknown and newer versions are refused", () => {
+    assert.throws(() => migrate({ servers: [] }), /Unrecognised/);
+    assert.throws(() => migrate({ version: CURRENT_VERSION + 1, servers: [] }), /newer version/);
+  });
+});
+
+describe("validation on load", () => {
+  test("invalid entries are dropped, reported with a reason and backed up", async () => {
+    const bad = [
+      { id: "no-name", url: "wss://a.example.net" },
+      { id: "bad-url", name: "Bad", url: "http://example.net" },
+      { id: "bad-votes", name: "Votes", url: "wss://b.example.net", votes: "12" },
+    ];
+    store.set(STORAGE_KEY, JSON.stringify({ version: CURRENT_VERSION, servers: [MINE, ...bad], deletedSeedIds: [], groups: [] }));
+    const res = await loadDirectory();
+    assert.ok(ids(res.envelope.servers).includes("mine-1"));
+    assert.deepEqual(res.rejected.map((r) => [r.item.id, r.reason]), [
+      ["no-name", "Missing name"],
+      ["bad-url", "ws:// is only allowed for local/LAN servers; public servers need wss://"],
+      ["bad-votes", "votes must be a number"],
+    ]);
+    assert.ok(res.backupKey.startsWith(BACKUP_PREFIX));
+    assert.deepEqual(JSON.parse(store.get(res.backupKey)).map((r) => r.item), bad);
+  });
+
+  test("entries are normalised: canonical URL, unknown tags dropped with a warning", () => {
+    const res = validateServer({ ...MINE, url: "wss://Play.Example.net:443/", tags: ["PvP", "Nope", "PvP"] });
+    assert.equal(res.ok, true);
+    assert.equal(res.server.url, "wss://play.example.net");
+    assert.deepEqual(res.server.tags, ["PvP"]);
+    assert.ok(res.warnings.includes('Unknown tag "Nope" dropped'));
+  });
+
+  test("wrong types are rejected with the field named", () => {
+    const reason = (patch) => validateServer({ ...MINE, ...patch }).reason;
+    assert.equal(validateServer(null).reason, "Not an object");
+    assert.equal(reason({ id: " " }), "Missing id");
+    assert.equal(reason({ url: 5 }), "Missing URL");
+    assert.equal(reason({ tags: "PvP" }), "tags must be an array");
+    assert.equal(reason({ short: 1 }), "short must be a string");
+    assert.equal(reason({ homepage: "javascript:alert(1)" }), "homepage must be an http(s) URL");
+    assert.equal(reason({ favorite: "yes" }), "favorite must be a boolean");
+    assert.equal(reason({ groups: [1] }), "groups must be an array of group ids");
+  });
+});
+
+describe("unreadable data", () => {
+  test("a corrupt blob is backed up as it was and the seeds take over", async () => {
+    store.set(STORAGE_KEY, "{not json");
+    const res = await loadDirectory();
+    assert.deepEqual(ids(res.envelope.servers), ids(SEED_SERVERS));
+    assert.equal(store.get(res.backupKey), "{not json");
+    assert.match(res.error, new RegExp(`^${STORAGE_KEY}: `));
+    assert.deepEqual(res.rejected, []);
+  });
+
+  test("an envelope without a servers array counts as unreadable", async () => {
+    store.set(STORAGE_KEY, JSON.stringify({ version: CURRENT_VERSION }));
+    const res = await loadDirectory();
+    assert.match(res.error, /no servers array/);
+    assert.deepEqual(backups(), [res.backupKey]);
+  });
+});
+
+describe("IndexedDB fallback", () => {
+  test("a quota error moves the list to IndexedDB, leaving a pointer that loads it back", async () => {
+    const data = { servers: [MINE], deletedSeedIds: [], groups: [{ id: "g1", name: "Testing" }] };
+    // Only room for the small pointer
+    limit = 100;
+    assert.equal(await saveDirectory(data), "indexeddb");
+    assert.equal(JSON.parse(store.get(STORAGE_KEY)).backend, "indexeddb");
+
+    const res = await loadDirectory();
+    assert.equal(res.backend, "indexeddb");
+    assert.deepEqual(res.envelope.groups, data.groups);
+    assert.equal(res.envelope.servers[0].id, "mine-1");
+
+    // Once there, later saves go straight to IndexedDB
+    assert.equal(await saveDirectory({ ...data, servers: [] }, res.backend), "indexeddb");
+    assert.ok(!ids((await loadDirectory()).envelope.servers).includes("mine-1"));
+  });
+
+  test("a pointer whose IndexedDB copy is gone is reported, not silently reset", async () => {
+    store.set(STORAGE_KEY, JSON.stringify({ version: CURRENT_VERSION, backend: "indexeddb" }));
+    const res = await loadDirectory();
+    assert.equal(res.backend, "indexeddb");
+    assert.match(res.error, /IndexedDB copy missing/);
+    assert.ok(res.backupKey);
+  });
+});